@@ -0,0 +1,156 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * achievements.js — Achievement registry, progress tracking and storage
+ *
+ * Shared by the game, which feeds engine events into a tracker, the
+ * background worker, which saves the progress the game reports, and the
+ * popup, which shows the gallery. Adding an achievement is one entry in
+ * ACHIEVEMENTS: it names a run stat (see RUN_STATS), a goal, and whether
+ * the goal is for a single run or adds up over every run.
+ *
+ *   const tracker = DreamyAchievements.createTracker(saved);
+ *   tracker.observe(ev);              // every engine event of a live run
+ *   tracker.check(eng.state);         // after each tick → newly unlocked
+ *   tracker.endRun();                 // bank the run's progress
+ *
+ * Saved in chrome.storage.local as `achievements`:
+ *   { [id]: { progress, unlockedAt: ISO date | null } }
+ * where progress is the best single run or the running total.
+ */
+
+'use strict';
+
+const DreamyAchievements = (() => {
+    /**
+     * In gallery order.
+     *   stat   key of the run counters below
+     *   scope  'run': reach the goal in one run; 'total': across all runs
+     *   unit   'ms' shows progress as minutes and seconds
+     */
+    const ACHIEVEMENTS = [
+        { id: 'feast',     icon: '🍄', name: 'Mushroom Feast', desc: 'Eat 50 mushrooms in one run',                  stat: 'eaten',      goal: 50,     scope: 'run' },
+        { id: 'collector', icon: '🎁', name: 'Collector',      desc: 'Collect three different power-ups in one run', stat: 'powerKinds', goal: 3,      scope: 'run' },
+        { id: 'survivor',  icon: '⏳', name: 'Survivor',       desc: 'Survive 2 minutes',                            stat: 'survivedMs', goal: 120000, scope: 'run', unit: 'ms' },
+        { id: 'wrapper',   icon: '🌀', name: 'Edge Walker',    desc: 'Wrap through a wall 10 times',                 stat: 'wraps',      goal: 10,     scope: 'total' },
+        { id: 'phantom',   icon: '👻', name: 'Phantom',        desc: 'Ghost through your own body',                  stat: 'phases',     goal: 1,      scope: 'total' },
+    ];
+
+    /** How each engine event moves the run counters. Only player one's count. */
+    const RUN_STATS = {
+        ate(run, e)              { if (!e.player) run.eaten++; },
+        powerupCollected(run, e) { run.powers.add(e.powerup); run.powerKinds = run.powers.size; },
+        wrapped(run)             { run.wraps++; },
+        phased(run, e)           { if (!e.player) run.phases++; },
+    };
+    const EVENTS = Object.keys(RUN_STATS);
+
+    function freshRun() {
+        return { eaten: 0, powers: new Set(), powerKinds: 0, survivedMs: 0, wraps: 0, phases: 0 };
+    }
+
+    /** Known ids only, with sane numbers; anything else starts from scratch. */
+    function sanitize(saved) {
+        const out = {};
+        for (const a of ACHIEVEMENTS) {
+            const s = saved && saved[a.id];
+            out[a.id] = {
+                progress:   s && Number.isFinite(s.progress) ? Math.max(0, s.progress) : 0,
+                unlockedAt: s && typeof s.unlockedAt === 'string' ? s.unlockedAt : null,
+            };
+        }
+        return out;
+    }
+
+    /**
+     * Combine two saved sets: the higher progress, and the earliest unlock.
+     * @returns {object} a new sanitized set
+     */
+    function merge(a, b) {
+        a = sanitize(a);
+        b = sanitize(b);
+        const out = {};
+        for (const { id } of ACHIEVEMENTS) {
+            const dates = [a[id].unlockedAt, b[id].unlockedAt].filter(Boolean).sort();
+            out[id] = { progress: Math.max(a[id].progress, b[id].progress), unlockedAt: dates[0] || null };
+        }
+        return out;
+    }
+
+    // ─── Tracking ───────────────────────────────────────────────────────────
+
+    /**
+     * Follow live runs against the saved progress.
+     * @param {object} saved  as stored; sanitized here
+     */
+    function createTracker(saved) {
+        const data = sanitize(saved);
+        let run = freshRun();
+
+        /** Where an achievement stands if the run ended now. */
+        function progressOf(a) {
+            const v = run[a.stat];
+            return a.scope === 'total' ? data[a.id].progress + v : Math.max(data[a.id].progress, v);
+        }
+
+        function observe(ev) {
+            if (RUN_STATS[ev.type]) RUN_STATS[ev.type](run, ev);
+        }
+
+        /**
+         * Compare the run against every locked goal.
+         * @returns {object[]} achievements unlocked just now
+         */
+        function check(state) {
+            run.survivedMs = state.time;
+            const unlocked = [];
+            for (const a of ACHIEVEMENTS) {
+                if (data[a.id].unlockedAt || progressOf(a) < a.goal) continue;
+                data[a.id].unlockedAt = new Date().toISOString();   // progress is banked at endRun()
+                unlocked.push(a);
+            }
+            return unlocked;
+        }
+
+        /** Fold the run into the saved progress (unless !keep) and start a fresh one. */
+        function endRun(keep = true) {
+            if (keep) for (const a of ACHIEVEMENTS) data[a.id].progress = progressOf(a);
+            run = freshRun();
+            return data;
+        }
+
+        /** Take in progress saved elsewhere (another tab) without losing ours. */
+        function absorb(other) {
+            Object.assign(data, merge(data, other));
+        }
+
+        return { observe, check, endRun, absorb, get data() { return data; } };
+    }
+
+    // ─── Display ────────────────────────────────────────────────────────────
+
+    /** "1:30 / 2:00" or "7 / 10" */
+    function progressText(a, progress) {
+        const shown = Math.min(progress, a.goal);
+        if (a.unit !== 'ms') return `${Math.floor(shown)} / ${a.goal}`;
+        const clock = ms => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+        return `${clock(shown)} / ${clock(a.goal)}`;
+    }
+
+    // ─── Storage ────────────────────────────────────────────────────────────
+
+    async function load() {
+        const { achievements } = await chrome.storage.local.get('achievements');
+        return sanitize(achievements);
+    }
+
+    /** Merge into the stored progress, so a save never undoes another tab's. */
+    async function save(data) {
+        const merged = merge(await load(), data);
+        await chrome.storage.local.set({ achievements: merged });
+        return merged;
+    }
+
+    return { ACHIEVEMENTS, EVENTS, sanitize, merge, createTracker, progressText, load, save };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyAchievements = DreamyAchievements;
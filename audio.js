@@ -0,0 +1,204 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * audio.js — Synthesized sound effects and a generative ambient track
+ *
+ * Everything is made with Web Audio oscillators, so there are no sound
+ * files to ship. Browsers only let audio start after a user gesture, so
+ * nothing is created until the first key press, click or touch; sounds
+ * played before that are silently dropped.
+ *
+ *   DreamyAudio.init(settings);     // once, with the saved mixer settings
+ *   DreamyAudio.setMixer(settings); // { master, sfx, music: 0–1, muted }
+ *   DreamyAudio.play('eat', 3);     // a named effect, see SFX below
+ *
+ * Mixer graph:  sfx ─┐
+ *                    ├─ master ─ destination
+ *             music ─┘
+ */
+
+'use strict';
+
+const DreamyAudio = (() => {
+    const DEFAULT_MIXER = { master: 0.8, sfx: 0.8, music: 0.4, muted: false };
+    const GESTURES = ['keydown', 'pointerdown', 'touchstart'];
+
+    // Ambient: a pentatonic pad in C, one soft note every few seconds
+    const PAD_NOTES     = [261.63, 293.66, 329.63, 392.00, 440.00, 523.25];
+    const SPARKLE_NOTES = [1046.5, 1174.7, 1318.5, 1568.0, 1760.0];
+    const PAD_EVERY_MS  = [2600, 5200];   // random gap between pad notes
+
+    let ctx = null;
+    let bus = null;       // { master, sfx, music } gain nodes
+    let mixer = { ...DEFAULT_MIXER };
+    let padTimer = null;
+
+    // ─── Setup ──────────────────────────────────────────────────────────────
+
+    /** Build the graph on the first gesture; later gestures resume it. */
+    function unlock() {
+        const AC = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AC) return;
+        if (!ctx) {
+            ctx = new AC();
+            bus = { master: ctx.createGain(), sfx: ctx.createGain(), music: ctx.createGain() };
+            bus.sfx.connect(bus.master);
+            bus.music.connect(bus.master);
+            bus.master.connect(ctx.destination);
+            applyMixer();
+            schedulePad();
+        }
+        if (ctx.state === 'suspended') ctx.resume();
+    }
+
+    function init(settings) {
+        setMixer(settings);
+        for (const type of GESTURES) addEventListener(type, unlock, { passive: true });
+    }
+
+    /** Saved settings over the defaults, volumes clamped to 0–1. */
+    function sanitize(saved) {
+        const out = { ...DEFAULT_MIXER };
+        if (!saved || typeof saved !== 'object') return out;
+        for (const k of ['master', 'sfx', 'music']) {
+            if (Number.isFinite(saved[k])) out[k] = Math.min(1, Math.max(0, saved[k]));
+        }
+        out.muted = saved.muted === true;
+        return out;
+    }
+
+    function setMixer(settings) {
+        mixer = sanitize(settings);
+        applyMixer();
+    }
+
+    function applyMixer() {
+        if (!ctx) return;
+        const t = ctx.currentTime;
+        bus.master.gain.setTargetAtTime(mixer.muted ? 0 : mixer.master, t, 0.05);
+        bus.sfx.gain.setTargetAtTime(mixer.sfx, t, 0.05);
+        bus.music.gain.setTargetAtTime(mixer.music, t, 0.3);
+    }
+
+    function audible(channel) {
+        return ctx && ctx.state === 'running' && !mixer.muted && mixer.master > 0 && mixer[channel] > 0;
+    }
+
+    // ─── Voices ─────────────────────────────────────────────────────────────
+
+    /**
+     * One enveloped oscillator note.
+     * @param {object} o  { freq, to?, type?, at?, dur, gain?, attack?, out?, detune? }
+     *                    `to` glides the pitch, `at` is seconds from now
+     */
+    function tone({ freq, to, type = 'sine', at = 0, dur, gain = 0.3, attack = 0.01, out = bus.sfx, detune = 0 }) {
+        const t0  = ctx.currentTime + at;
+        const osc = ctx.createOscillator();
+        const env = ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, t0);
+        if (to) osc.frequency.exponentialRampToValueAtTime(to, t0 + dur);
+        osc.detune.value = detune;
+        env.gain.setValueAtTime(0.0001, t0);
+        env.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+        env.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+        osc.connect(env);
+        env.connect(out);
+        osc.start(t0);
+        osc.stop(t0 + dur + 0.05);
+    }
+
+    /** A short run of notes, `step` seconds apart. */
+    function arpeggio(freqs, step, opts) {
+        freqs.forEach((freq, i) => tone({ ...opts, freq, at: (opts.at || 0) + i * step }));
+    }
+
+    // ─── Effects ────────────────────────────────────────────────────────────
+
+    /** Per power-up id; anything without its own sound gets the default chime. */
+    const POWERUP_SOUNDS = {
+        speed() { arpeggio([523, 659, 784, 1047, 1319], 0.045, { type: 'square', dur: 0.09, gain: 0.08 }); },
+        ghost() {
+            tone({ freq: 880, to: 330, type: 'sine', dur: 0.6, gain: 0.18, attack: 0.08 });
+            tone({ freq: 884, to: 332, type: 'sine', dur: 0.6, gain: 0.12, attack: 0.08, detune: 14 });
+        },
+        wrap() {
+            tone({ freq: 300, to: 900, type: 'triangle', dur: 0.35, gain: 0.2 });
+            tone({ freq: 450, to: 1350, type: 'sine', at: 0.12, dur: 0.35, gain: 0.12 });
+        },
+        slowmo() { tone({ freq: 660, to: 220, type: 'triangle', dur: 0.7, gain: 0.18, attack: 0.04 }); },
+        shrink() { arpeggio([1175, 880, 659], 0.05, { type: 'square', dur: 0.06, gain: 0.07 }); },
+        magnet() {
+            tone({ freq: 220, to: 440, type: 'sawtooth', dur: 0.4, gain: 0.06 });
+            tone({ freq: 440, to: 880, type: 'sine', dur: 0.4, gain: 0.12 });
+        },
+        double() { arpeggio([784, 1568, 784, 1568], 0.06, { type: 'triangle', dur: 0.1, gain: 0.14 }); },
+        shield() {
+            tone({ freq: 392, type: 'sine', dur: 0.6, gain: 0.16, attack: 0.05 });
+            tone({ freq: 588, type: 'sine', at: 0.08, dur: 0.55, gain: 0.1, attack: 0.05 });
+        },
+        default() { arpeggio([659, 880, 1175], 0.07, { type: 'triangle', dur: 0.2, gain: 0.16 }); },
+    };
+
+    const SFX = {
+        /** Pitch climbs two semitones per level of the score multiplier, up to an octave. */
+        eat(mult = 1) {
+            const f = 523.25 * Math.pow(2, Math.min((mult - 1) * 2, 12) / 12);
+            tone({ freq: f, to: f * 1.5, type: 'triangle', dur: 0.12, gain: 0.22 });
+            tone({ freq: f * 2, type: 'sine', at: 0.03, dur: 0.1, gain: 0.07 });
+        },
+        powerup(id) { (POWERUP_SOUNDS[id] || POWERUP_SOUNDS.default)(); },
+        multUp(mult = 2) {
+            const f = 659.25 * Math.pow(2, Math.min(mult, 8) * 2 / 12);
+            arpeggio([f, f * 1.25, f * 1.5], 0.04, { type: 'square', dur: 0.08, gain: 0.07 });
+        },
+        golden() { arpeggio([1047, 1319, 1568, 2093, 2637], 0.04, { type: 'sine', dur: 0.25, gain: 0.12 }); },
+        hazard() {
+            tone({ freq: 330, to: 110, type: 'square', dur: 0.4, gain: 0.08 });
+            tone({ freq: 336, to: 104, type: 'sine', dur: 0.45, gain: 0.14, detune: -30 });
+        },
+        powerCombo() {
+            arpeggio([523, 784, 1047, 1568, 2093], 0.05, { type: 'triangle', dur: 0.16, gain: 0.14 });
+            tone({ freq: 262, to: 523, type: 'sine', dur: 0.5, gain: 0.16, attack: 0.03 });
+        },
+        despawnWarn() { tone({ freq: 1568, type: 'sine', dur: 0.07, gain: 0.08 }); },
+        achievement() {
+            arpeggio([523, 659, 784, 1047], 0.09, { type: 'triangle', dur: 0.3, gain: 0.16 });
+            tone({ freq: 2093, type: 'sine', at: 0.36, dur: 0.8, gain: 0.06, attack: 0.02 });
+        },
+        death() {
+            tone({ freq: 420, to: 70, type: 'sawtooth', dur: 0.7, gain: 0.12 });
+            tone({ freq: 210, to: 50, type: 'triangle', dur: 0.8, gain: 0.2 });
+        },
+        pause()  { arpeggio([660, 440], 0.08, { type: 'sine', dur: 0.14, gain: 0.14 }); },
+        resume() { arpeggio([440, 660], 0.08, { type: 'sine', dur: 0.14, gain: 0.14 }); },
+    };
+
+    /** Play a named effect; a no-op until audio is unlocked or when muted. */
+    function play(name, ...args) {
+        if (!audible('sfx') || !SFX[name]) return;
+        SFX[name](...args);
+    }
+
+    // ─── Ambient ────────────────────────────────────────────────────────────
+
+    function pick(list) { return list[Math.floor(Math.random() * list.length)]; }
+
+    /** One slow pad swell, now and then a high sparkle on top. */
+    function padNote() {
+        const root = pick(PAD_NOTES);
+        tone({ freq: root / 2, type: 'sine', dur: 6, gain: 0.1, attack: 2, out: bus.music });
+        tone({ freq: root * 0.75, type: 'triangle', dur: 5, gain: 0.04, attack: 2.2, out: bus.music, detune: -6 });
+        if (Math.random() < 0.35) tone({ freq: pick(SPARKLE_NOTES), type: 'sine', at: 1 + Math.random(), dur: 1.6, gain: 0.03, out: bus.music });
+    }
+
+    function schedulePad() {
+        clearTimeout(padTimer);
+        if (audible('music') && !document.hidden) padNote();
+        const [lo, hi] = PAD_EVERY_MS;
+        padTimer = setTimeout(schedulePad, lo + Math.random() * (hi - lo));
+    }
+
+    return { DEFAULT_MIXER, init, setMixer, sanitize, play };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyAudio = DreamyAudio;
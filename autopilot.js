@@ -0,0 +1,184 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * autopilot.js — A built-in caterpillar AI for the attract demo and autopilot
+ *
+ * The AI only reads engine state and suggests a direction; the host feeds
+ * that through eng.input() like a key press, so it is bound by the same
+ * turn queue and reversal guard as a player:
+ *
+ *   const nd = DreamyAutopilot.choose(eng, player);
+ *   if (nd) eng.input(nd, player);
+ *
+ * Strategy, in order:
+ *   1. Shortest path (BFS) to the nearest mushroom, taken only if the
+ *      caterpillar could still reach its own tail after eating it, so it
+ *      never seals itself into a pocket.
+ *   2. Otherwise follow its tail, which always frees up room.
+ *   3. Otherwise the move with the most open space behind it.
+ *
+ * Walls, hedges, ponds, rocks, portals and wrapping follow the engine's
+ * rules; bodies are treated as standing still, which errs on the safe side.
+ */
+
+'use strict';
+
+const DreamyAutopilot = (() => {
+    const DIRS = Object.values(DreamyEngine.DIRS);
+
+    // ─── Board model ────────────────────────────────────────────────────────
+
+    /** Snapshot what the AI needs from the engine for one decision. */
+    function readBoard(eng, player) {
+        const { state } = eng;
+        const grid    = state.grid;
+        const portals = new Map();
+        for (const [[ax, ay], [bx, by]] of (state.level && state.level.portals) || []) {
+            portals.set(ay*grid + ax, {x: bx, y: by});
+            portals.set(by*grid + bx, {x: ax, y: ay});
+        }
+
+        // Every body tile except each caterpillar's last segment, which moves off
+        const bodies = new Set();
+        state.players.forEach(p => {
+            for (let i = 0; i < p.snake.length - 1; i++) bodies.add(p.snake[i].y*grid + p.snake[i].x);
+        });
+
+        // Versus: stay off the tiles the rival's head could take this tick.
+        // Hazard mushrooms are never worth eating either.
+        const danger = new Set();
+        if (state.hazard) danger.add(state.hazard.y*grid + state.hazard.x);
+        state.players.forEach((p, i) => {
+            if (i === player || !p.alive) return;
+            for (const d of DIRS) {
+                const t = { x: p.snake[0].x + d.x, y: p.snake[0].y + d.y };
+                danger.add(t.y*grid + t.x);
+            }
+        });
+
+        return {
+            eng, grid, portals, bodies, danger,
+            wrap: eng.edgeWraps(),
+        };
+    }
+
+    /** Where a head at (x, y) lands moving in d, or null if it would crash. */
+    function next(b, x, y, d) {
+        let nx = x + d.x, ny = y + d.y;
+        if (nx < 0 || nx >= b.grid || ny < 0 || ny >= b.grid) {
+            if (!b.wrap) return null;
+            nx = (nx + b.grid) % b.grid;
+            ny = (ny + b.grid) % b.grid;
+        }
+        if (b.eng.isSolid(nx, ny)) return null;
+        return b.portals.get(ny*b.grid + nx) || { x: nx, y: ny };
+    }
+
+    // ─── Search ─────────────────────────────────────────────────────────────
+
+    /**
+     * Breadth-first search from `start` over tiles not in `blocked`.
+     * @returns {{x, y}[]|null}  tiles stepped on to reach a goal, or null
+     */
+    function findPath(b, start, blocked, isGoal) {
+        const seen = new Map([[start.y*b.grid + start.x, null]]);
+        const queue = [start];
+        for (let qi = 0; qi < queue.length; qi++) {
+            const cur = queue[qi];
+            for (const d of DIRS) {
+                const t = next(b, cur.x, cur.y, d);
+                if (!t) continue;
+                const k = t.y*b.grid + t.x;
+                if (seen.has(k)) continue;
+                seen.set(k, cur);
+                if (isGoal(t)) {
+                    const path = [t];
+                    for (let p = cur; p !== start; p = seen.get(p.y*b.grid + p.x)) path.unshift(p);
+                    return path;
+                }
+                if (blocked.has(k)) continue;
+                queue.push(t);
+            }
+        }
+        return null;
+    }
+
+    /** Number of open tiles reachable from `start`. */
+    function openSpace(b, start, blocked) {
+        const seen = new Set([start.y*b.grid + start.x]);
+        const queue = [start];
+        for (let qi = 0; qi < queue.length; qi++) {
+            const cur = queue[qi];
+            for (const d of DIRS) {
+                const t = next(b, cur.x, cur.y, d);
+                if (!t) continue;
+                const k = t.y*b.grid + t.x;
+                if (seen.has(k) || blocked.has(k)) continue;
+                seen.add(k);
+                queue.push(t);
+            }
+        }
+        return seen.size;
+    }
+
+    /** After walking `path` (and eating at its end), can the head still reach the tail? */
+    function tailSafe(b, snake, path) {
+        const body = [...path].reverse().concat(snake.map(s => ({ x: s.x, y: s.y })));
+        body.length = snake.length + 1;   // grows by one on the mushroom
+        const head = body[0], tail = body[body.length - 1];
+        const blocked = new Set(b.danger);
+        for (let i = 1; i < body.length - 1; i++) blocked.add(body[i].y*b.grid + body[i].x);
+        return !!findPath(b, head, blocked, t => t.x === tail.x && t.y === tail.y);
+    }
+
+    /** The way the caterpillar should head next, or null when every move is fatal. */
+    function heading(eng, player) {
+        const p = eng.state.players[player];
+        if (eng.state.phase !== 'playing' || !p.alive) return null;
+        const b    = readBoard(eng, player);
+        const head = p.snake[0];
+        const tail = p.snake[p.snake.length - 1];
+        const blocked = new Set([...b.bodies, ...b.danger]);
+
+        // The first step may not reverse; after that the search is free to turn
+        const moves = DIRS
+            .filter(d => !(d.x === -p.dir.x && d.y === -p.dir.y))
+            .map(d => ({ d, to: next(b, head.x, head.y, d) }))
+            .filter(m => m.to && !blocked.has(m.to.y*b.grid + m.to.x));
+        if (!moves.length) return null;
+        const dirTo = t => moves.find(m => m.to.x === t.x && m.to.y === t.y);
+
+        // 1. Nearest mushroom, if eating it leaves a way out
+        const foods = new Set(eng.state.foods.map(f => f.y*b.grid + f.x));
+        const toFood = findPath(b, head, blocked, t => foods.has(t.y*b.grid + t.x));
+        if (toFood && dirTo(toFood[0]) && tailSafe(b, p.snake, toFood)) return dirTo(toFood[0]).d;
+
+        // 2. Chase the tail
+        const toTail = findPath(b, head, blocked, t => t.x === tail.x && t.y === tail.y);
+        if (toTail && dirTo(toTail[0])) return dirTo(toTail[0]).d;
+
+        // 3. Most room to breathe
+        let best = moves[0], bestRoom = -1;
+        for (const m of moves) {
+            const room = openSpace(b, m.to, blocked);
+            if (room > bestRoom) { best = m; bestRoom = room; }
+        }
+        return best.d;
+    }
+
+    /**
+     * Pick a direction for one caterpillar. Under a toadstool the engine
+     * flips every turn, so the AI presses the opposite way.
+     * @param {object} eng       DreamyEngine instance
+     * @param {number} [player]  players index
+     * @returns {{x, y}|null}  a direction, or null when every move is fatal
+     */
+    function choose(eng, player = 0) {
+        const d = heading(eng, player);
+        return d && eng.controlsReversed(player) ? { x: -d.x || 0, y: -d.y || 0 } : d;
+    }
+
+    return { choose };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyAutopilot = DreamyAutopilot;
+if (typeof module !== 'undefined' && module.exports) module.exports = DreamyAutopilot;
@@ -0,0 +1,105 @@
+/* background.js — Dreamy Garden service worker
+   Fills in default settings, takes run results from the game page and
+   keeps the toolbar badge current: today's game count, or OFF when the
+   game is switched off for new tabs. The tooltip adds the daily streak.
+   When sync is switched on in the popup, it also keeps chrome.storage.sync
+   in step with this browser (sync.js).
+
+   Messages from the game ({ type, … } → response):
+     runFinished   { run }           save to the run history   → { ok }
+     bestScored    { bucket, score } keep it if it's a best    → bestScores
+     dailyStarted  { day }           use up the scored attempt → dailyGarden record
+     dailyFinished { day, score }    score the attempt         → dailyGarden record
+     achievementsProgressed { achievements }
+                                     merge with the saved set  → achievements
+
+   and from the popup:
+     restoreBackup { storage, how } write a checked backup (backup.js) → { ok }
+
+   Chrome loads this as a service worker and imports the libs below;
+   Firefox runs it as an event page with the same files listed in
+   manifest.json. */
+'use strict';
+
+if (typeof importScripts === 'function') {
+    importScripts(
+        'lib/lovespark-stats.js', 'lib/lovespark-badge.js', 'lib/lovespark-lifecycle.js',
+        'engine.js', 'history.js', 'daily.js', 'achievements.js', 'sync.js', 'backup.js',
+    );
+}
+
+const DEFAULTS = {
+    gameOnNewTab: true,
+    gridSize:     20,
+    dpad:         'auto',
+};
+
+// ─── Badge ──────────────────────────────────────────────────────────────────
+
+async function updateBadge() {
+    await DreamyHistory.counters();   // rolls gamesToday over at midnight
+    await LoveSparkBadge.update('gameOnNewTab', 'gamesToday');
+
+    const [{ gamesToday, gameOnNewTab }, daily] = await Promise.all([
+        chrome.storage.local.get(['gamesToday', 'gameOnNewTab']),
+        DreamyDaily.load(),
+    ]);
+    if (gameOnNewTab === false) {
+        chrome.action.setTitle({ title: 'Dreamy Garden 🌸 — off for new tabs' });
+        return;
+    }
+    const streak = DreamyDaily.streak(daily.scores, LoveSparkStats.todayStr());
+    const parts  = [`${gamesToday || 0} game${gamesToday === 1 ? '' : 's'} today`];
+    if (streak) parts.push(`🔥 ${streak}-day Daily Garden streak`);
+    chrome.action.setTitle({ title: `Dreamy Garden 🌸 — ${parts.join(' · ')}` });
+}
+
+// ─── Messages ───────────────────────────────────────────────────────────────
+
+const HANDLERS = {
+    async runFinished({ run }) {
+        await DreamyHistory.record(run);
+        return { ok: true };
+    },
+    bestScored({ bucket, score })   { return DreamyHistory.saveBest(bucket, score); },
+    dailyStarted({ day })           { return DreamyDaily.startAttempt(day); },
+    dailyFinished({ day, score })   { return DreamyDaily.finishAttempt(day, score); },
+    achievementsProgressed({ achievements }) { return DreamyAchievements.save(achievements); },
+    async restoreBackup({ storage, how }) {
+        await DreamyBackup.restoreStorage(storage, how);
+        return { ok: true };
+    },
+};
+
+// One at a time, so a quick start + finish can't interleave their writes
+let queue = Promise.resolve();
+
+LoveSparkLifecycle.setupMessageHandler((msg) => {
+    const handler = msg && HANDLERS[msg.type];
+    if (!handler) return Promise.reject(new Error(`Unknown message: ${msg && msg.type}`));
+    const result = queue.then(() => handler(msg));
+    queue = result.catch(() => {});
+    return result;
+});
+
+// ─── Lifecycle ──────────────────────────────────────────────────────────────
+
+chrome.runtime.onInstalled.addListener(async () => {
+    await LoveSparkLifecycle.initDefaults(DEFAULTS);
+    LoveSparkBadge.init();
+    updateBadge();
+    DreamySync.sync();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    updateBadge();
+    DreamySync.sync();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    // Another browser's changes arrive here; fold them in once they settle
+    if (area === 'sync') return DreamySync.schedule();
+    if (area !== 'local') return;
+    if (changes.gameOnNewTab || changes.gamesToday || changes.dailyGarden) updateBadge();
+    DreamySync.localChanged(changes);
+});
@@ -0,0 +1,270 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * backup.js — The whole garden as one backup file, and restoring it
+ *
+ * Used by the popup's Backup garden panel, and by the background worker,
+ * which writes the chrome.storage.local half of a restore so the saved
+ * records keep their single writer. A backup is plain JSON:
+ *   {
+ *     "format":  "dreamy-garden-backup",
+ *     "version": 1,
+ *     "exportedAt": "2026-10-18T09:30:00.000Z",
+ *     "storage": { …chrome.storage.local keys, see STORAGE… },
+ *     "local":   { …localStorage: ghost replays + last picks, see LOCAL… }
+ *   }
+ *
+ * Everything is checked on the way in and brought up to today's layout:
+ * levels and replays through their own validators (which migrate older
+ * versions), and bests still kept as localStorage dg_best / dg_best_<bucket>
+ * strings, from before they moved to chrome.storage.local, are folded into
+ * bestScores.
+ *
+ * Restoring can merge — this browser keeps its settings and gains the
+ * backup's records: higher bests, every run, every garden — or replace the
+ * whole garden with the backup's.
+ *
+ * Version history:
+ *   1  settings, bests, run history, totals, achievements, Daily Garden,
+ *      custom levels, ghost replays
+ */
+
+'use strict';
+
+const DreamyBackup = (() => {
+    const FORMAT  = 'dreamy-garden-backup';
+    const VERSION = 1;
+
+    const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    /** A setting is kept as-is on merge; the backup's only fills a gap. */
+    const keepOurs = (ours, theirs) => (ours === undefined ? theirs : ours);
+
+    /**
+     * The chrome.storage.local keys in a backup.
+     *   name   how an error message calls it
+     *   clean  (value, skip) → a checked copy, or undefined when unusable;
+     *          skip() counts a damaged entry dropped from a list
+     *   merge  (ours, theirs) → the value to keep
+     */
+    const STORAGE = {
+        theme:        { name: 'theme',         merge: keepOurs, clean: v => (typeof v === 'string' ? v : undefined) },
+        gameOnNewTab: { name: 'new-tab switch', merge: keepOurs, clean: v => (typeof v === 'boolean' ? v : undefined) },
+        gridSize:     { name: 'garden size',   merge: keepOurs, clean: v => (Number.isInteger(v) && v >= DreamyLevels.MIN_GRID && v <= DreamyLevels.MAX_GRID ? v : undefined) },
+        dpad:         { name: 'D-pad setting', merge: keepOurs, clean: v => (['auto', 'on', 'off'].includes(v) ? v : undefined) },
+        audio:        { name: 'sound settings', merge: keepOurs, clean: v => (isObject(v) ? DreamyAudio.sanitize(v) : undefined) },
+        keyBindings:  { name: 'key bindings',  merge: keepOurs, clean: v => (isObject(v) ? DreamyBindings.sanitize(v) : undefined) },
+        customLevels: {
+            name: 'gardens',
+            clean: (v, skip) => (Array.isArray(v) ? v.flatMap(level => {
+                try {
+                    const clean = DreamyLevels.validate(level);
+                    if (typeof clean.id === 'string') return [clean];
+                } catch {}
+                skip();
+                return [];
+            }) : undefined),
+            merge: (ours = [], theirs) => [...ours, ...theirs.filter(l => !ours.some(o => o.id === l.id))],
+        },
+        bestScores: {
+            name: 'best scores',
+            clean: v => (isObject(v) ? DreamyHistory.mergeBests(v, {}) : undefined),
+            merge: (ours, theirs) => DreamyHistory.mergeBests(ours, theirs),
+        },
+        runHistory: {
+            name: 'run history',
+            clean: (v, skip) => (Array.isArray(v) ? v.filter(r => {
+                const ok = isObject(r) && typeof r.date === 'string' && Number.isFinite(r.score) && Number.isFinite(r.durationMs);
+                if (!ok) skip();
+                return ok;
+            }) : undefined),
+            merge: (ours = [], theirs) => DreamyHistory.mergeRuns(ours, theirs),
+        },
+        gamesTotal: {
+            name: 'game count',
+            clean: v => (Number.isInteger(v) && v >= 0 ? v : undefined),
+            merge: (ours = 0, theirs) => Math.max(ours, theirs),
+        },
+        playMsTotal: {
+            name: 'time played',
+            clean: v => (Number.isFinite(v) && v >= 0 ? v : undefined),
+            merge: (ours = 0, theirs) => Math.max(ours, theirs),
+        },
+        bestCombo: {
+            name: 'best combo',
+            clean: v => (Number.isInteger(v) && v >= 1 ? v : undefined),
+            merge: (ours = 1, theirs) => Math.max(ours, theirs),
+        },
+        achievements: {
+            name: 'achievements',
+            clean: v => (isObject(v) ? DreamyAchievements.sanitize(v) : undefined),
+            merge: (ours, theirs) => DreamyAchievements.merge(ours, theirs),
+        },
+        dailyGarden: {
+            name: 'Daily Garden diary',
+            clean: v => (isObject(v) ? DreamyDaily.sanitize(v) : undefined),
+            merge: (ours, theirs) => DreamyDaily.merge(ours, theirs),
+        },
+    };
+
+    /** The localStorage keys in a backup (the game's own, all dg_ prefixed). */
+    const REPLAY_RE = /^dg_best_replay_(.+)$/;
+    const LEGACY_BEST_RE = /^dg_best(?:_(?!replay_)(.+))?$/;
+    const LOCAL = {
+        dg_level:      v => v,
+        dg_difficulty: v => (own(DreamyEngine.DIFFICULTIES, v) ? v : undefined),
+        dg_mode:       v => (own(DreamyEngine.MODES, v) ? v : undefined),
+        dg_rounds:     v => (/^\d+$/.test(v) ? v : undefined),
+    };
+
+    // ─── Export ─────────────────────────────────────────────────────────────
+
+    function readLocal() {
+        const out = {};
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (own(LOCAL, key) || REPLAY_RE.test(key) || LEGACY_BEST_RE.test(key)) out[key] = localStorage.getItem(key);
+            }
+        } catch {}
+        return out;
+    }
+
+    /** Everything worth keeping, ready for stringify(). */
+    async function collect() {
+        return {
+            format:     FORMAT,
+            version:    VERSION,
+            exportedAt: new Date().toISOString(),
+            storage:    await chrome.storage.local.get(Object.keys(STORAGE)),
+            local:      readLocal(),
+        };
+    }
+
+    function stringify(backup) {
+        return JSON.stringify(backup, null, 2);
+    }
+
+    // ─── Import ─────────────────────────────────────────────────────────────
+
+    /**
+     * Parse and check a backup file.
+     * @returns {{ backup: object, skipped: number }} the cleaned backup, and
+     *          how many damaged runs, gardens or replays were left out
+     * @throws {Error} with a player-facing message when the file is unusable
+     */
+    function parse(text) {
+        let data;
+        try { data = JSON.parse(text); }
+        catch { throw new Error('That file isn’t valid JSON.'); }
+
+        if (!data || data.format !== FORMAT) {
+            throw new Error('That file isn’t a Dreamy Garden backup.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This backup has no version.');
+        }
+        if (data.version > VERSION) {
+            throw new Error('This backup was made by a newer version of Dreamy Garden.');
+        }
+        if (!isObject(data.storage) || !isObject(data.local)) {
+            throw new Error('This backup is damaged.');
+        }
+
+        let skipped = 0;
+        const skip = () => { skipped++; };
+        const storage = {};
+        for (const [key, spec] of Object.entries(STORAGE)) {
+            if (!own(data.storage, key) || data.storage[key] === undefined) continue;
+            const value = spec.clean(data.storage[key], skip);
+            if (value === undefined) throw new Error(`This backup’s ${spec.name} can’t be read.`);
+            storage[key] = value;
+        }
+
+        const local = {};
+        const legacyBests = {};
+        for (const [key, value] of Object.entries(data.local)) {
+            if (typeof value !== 'string') continue;
+            const legacy = LEGACY_BEST_RE.exec(key);
+            if (legacy) {
+                legacyBests[legacy[1] || 'normal'] = +value || 0;
+            } else if (REPLAY_RE.test(key)) {
+                try { local[key] = DreamyReplay.stringify(DreamyReplay.parse(value)); }
+                catch { skip(); }
+            } else if (own(LOCAL, key) && LOCAL[key](value) !== undefined) {
+                local[key] = value;
+            }
+        }
+        if (Object.keys(legacyBests).length) {
+            storage.bestScores = DreamyHistory.mergeBests(storage.bestScores, legacyBests);
+        }
+
+        return { backup: { format: FORMAT, version: VERSION, exportedAt: data.exportedAt, storage, local }, skipped };
+    }
+
+    /** "4 best scores, 120 runs and 2 gardens" — what a backup holds. */
+    function describe(backup) {
+        const { storage, local } = backup;
+        const parts = [
+            count(Object.keys(storage.bestScores || {}).length, 'best score'),
+            count((storage.runHistory || []).length, 'run'),
+        ];
+        const levels = (storage.customLevels || []).length;
+        const ghosts = Object.keys(local).filter(k => REPLAY_RE.test(k)).length;
+        if (levels) parts.push(count(levels, 'garden'));
+        if (ghosts) parts.push(count(ghosts, 'ghost replay'));
+        return parts.slice(0, -1).join(', ') + ' and ' + parts[parts.length - 1];
+    }
+
+    // ─── Restore ────────────────────────────────────────────────────────────
+
+    /**
+     * Write the chrome.storage.local half of a cleaned backup. Run by the
+     * background worker.
+     * @param {object} storage  parse().backup.storage
+     * @param {'merge'|'replace'} how
+     */
+    async function restoreStorage(storage, how) {
+        if (how === 'replace') {
+            await chrome.storage.local.remove(Object.keys(STORAGE));
+            await chrome.storage.local.set(storage);
+            return;
+        }
+        const ours = await chrome.storage.local.get(Object.keys(storage));
+        const merged = {};
+        for (const [key, theirs] of Object.entries(storage)) merged[key] = STORAGE[key].merge(ours[key], theirs);
+        await chrome.storage.local.set(merged);
+    }
+
+    /**
+     * Write the localStorage half, after restoreStorage(). On merge a
+     * backed-up ghost only comes in when it beats ours and matches the
+     * best now saved for its bucket, so ghost and best still agree.
+     * @param {object} bests  bestScores as restored
+     */
+    function restoreLocal(local, how, bests = {}) {
+        try {
+            if (how === 'replace') {
+                for (const key of Object.keys(readLocal())) localStorage.removeItem(key);
+            }
+            for (const [key, value] of Object.entries(local)) {
+                const current = localStorage.getItem(key);
+                const replay = REPLAY_RE.exec(key);
+                if (how === 'merge' && replay) {
+                    let ourScore = -1;
+                    try { ourScore = DreamyReplay.parse(current).score; } catch {}
+                    const { score } = JSON.parse(value);
+                    if (score <= ourScore || score < (bests[replay[1]] || 0)) continue;
+                } else if (how === 'merge' && current !== null) {
+                    continue;
+                }
+                localStorage.setItem(key, value);
+            }
+        } catch {}
+    }
+
+    return { FORMAT, VERSION, collect, stringify, parse, describe, restoreStorage, restoreLocal };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyBackup = DreamyBackup;
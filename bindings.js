@@ -0,0 +1,115 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * bindings.js — Key bindings shared by the game and the popup
+ *
+ * Bindings are saved in chrome.storage.local as `keyBindings`, an object of
+ * action → key, where a key is a KeyboardEvent.key with letters lowercased
+ * (so Shift or Caps Lock don't matter). Using `key` rather than `code`
+ * means AZERTY and Dvorak players bind the letters printed on their keys.
+ *
+ * There are two sets of movement keys. Both steer the caterpillar in a
+ * single-player game; in Versus the first set is player one's and the
+ * second set player two's. Space and Esc always pause and start as well,
+ * unless they are bound to something else.
+ */
+
+'use strict';
+
+const DreamyBindings = (() => {
+    /** In display order: [action, label] */
+    const ACTIONS = [
+        ['up',        'Up'],
+        ['down',      'Down'],
+        ['left',      'Left'],
+        ['right',     'Right'],
+        ['up2',       'Up (player two)'],
+        ['down2',     'Down (player two)'],
+        ['left2',     'Left (player two)'],
+        ['right2',    'Right (player two)'],
+        ['pause',     'Pause'],
+        ['restart',   'Start / restart'],
+        ['autopilot', 'Autopilot'],
+    ];
+
+    const DEFAULTS = {
+        up: 'w', down: 's', left: 'a', right: 'd',
+        up2: 'ArrowUp', down2: 'ArrowDown', left2: 'ArrowLeft', right2: 'ArrowRight',
+        pause: 'p', restart: 'Enter', autopilot: 'o',
+    };
+
+    /** Movement actions → [direction code, player] */
+    const MOVES = {
+        up:  ['U', 0], down:  ['D', 0], left:  ['L', 0], right:  ['R', 0],
+        up2: ['U', 1], down2: ['D', 1], left2: ['L', 1], right2: ['R', 1],
+    };
+
+    /** Keys that can't be bound: they belong to the browser or to form controls. */
+    const RESERVED = new Set(['Tab', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified']);
+
+    const LABELS = {
+        ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+        ' ': 'Space', Escape: 'Esc', Enter: 'Enter', Backspace: '⌫',
+    };
+
+    /** A KeyboardEvent.key as stored: single characters lowercased. */
+    function normalize(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    function bindable(key) {
+        return typeof key === 'string' && key.length > 0 && !RESERVED.has(key) && !/^F\d+$/.test(key);
+    }
+
+    /** How a key is shown in hints and the settings list. */
+    function label(key) {
+        return LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    /**
+     * Saved bindings over the defaults; unknown actions and unbindable keys
+     * are dropped. A set where two actions share a key can't be trusted, so
+     * it falls back to the defaults entirely.
+     */
+    function sanitize(saved) {
+        const out = { ...DEFAULTS };
+        if (!saved || typeof saved !== 'object') return out;
+        for (const [action] of ACTIONS) {
+            if (bindable(saved[action])) out[action] = normalize(saved[action]);
+        }
+        const keys = Object.values(out);
+        return new Set(keys).size === keys.length ? out : { ...DEFAULTS };
+    }
+
+    /**
+     * Bind `key` to `action`. If another action had that key, the two swap,
+     * so every action always keeps a key.
+     * @returns {object} new bindings
+     */
+    function assign(bindings, action, key) {
+        const next = { ...bindings };
+        key = normalize(key);
+        const owner = Object.keys(next).find(a => next[a] === key);
+        if (owner && owner !== action) next[owner] = next[action];
+        next[action] = key;
+        return next;
+    }
+
+    /** The action bound to a key, or null. */
+    function actionFor(bindings, key) {
+        key = normalize(key);
+        return Object.keys(bindings).find(a => bindings[a] === key) || null;
+    }
+
+    async function load() {
+        const { keyBindings } = await chrome.storage.local.get('keyBindings');
+        return sanitize(keyBindings);
+    }
+
+    function save(bindings) {
+        return chrome.storage.local.set({ keyBindings: bindings });
+    }
+
+    return { ACTIONS, DEFAULTS, MOVES, normalize, bindable, label, sanitize, assign, actionFor, load, save };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyBindings = DreamyBindings;
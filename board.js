@@ -0,0 +1,186 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * board.js — Garden board drawing shared by the game and the level editor
+ *
+ * Everything here draws onto a context you pass in, at a cell size you
+ * pass in, so the editor paints exactly the tiles the game will show.
+ * Hedges, ponds and no-food tiles are static and get pre-rendered into
+ * an offscreen layer; portals animate and are drawn every frame.
+ */
+
+'use strict';
+
+const DreamyBoard = (() => {
+    const HEDGE_COLS    = ['#166534', '#15803d', '#16a34a', '#22c55e'];
+    const HEDGE_FLOWERS = ['#f9a8d4', '#fbcfe8', '#fde68a', '#ffffff'];
+    const PORTAL_COLS   = ['#c084fc', '#7dd3fc', '#fbbf24', '#f472b6', '#34d399', '#fb923c'];
+
+    function rgba(hex, a) {
+        const n = parseInt(hex.slice(1), 16);
+        return `rgba(${(n>>16)&255},${(n>>8)&255},${n&255},${a.toFixed(2)})`;
+    }
+
+    /** Stable per-tile pseudo-random number, so hedges don't flicker. */
+    function tileHash(x, y) {
+        return (((x * 73856093) ^ (y * 19349663)) >>> 0) % 1000 / 1000;
+    }
+
+    /** Frosted dark glass over the CSS background, plus faint grid dots. */
+    function drawBase(c, size, grid) {
+        const cell = size / grid;
+        c.clearRect(0, 0, size, size);
+
+        // Frosted dark overlay over the CSS animated background
+        c.fillStyle = 'rgba(8, 3, 22, 0.52)';
+        c.beginPath();
+        c.roundRect(0, 0, size, size, size * 0.036);
+        c.fill();
+
+        // Faint grid dots
+        const dot = Math.max(0.6, cell * 0.044);
+        c.fillStyle = 'rgba(255,255,255,0.045)';
+        for (let gx=0; gx<grid; gx++) {
+            for (let gy=0; gy<grid; gy++) {
+                c.beginPath();
+                c.arc(gx*cell+cell/2, gy*cell+cell/2, dot, 0, Math.PI*2);
+                c.fill();
+            }
+        }
+    }
+
+    /** A leafy hedge block: dark base, overlapping leaf clumps, the odd flower. */
+    function drawHedgeTile(c, x, y, cell) {
+        const px = x * cell, py = y * cell;
+        const h  = tileHash(x, y);
+
+        c.fillStyle = rgba(HEDGE_COLS[0], 0.92);
+        c.beginPath();
+        c.roundRect(px + 0.5, py + 0.5, cell - 1, cell - 1, cell * 0.22);
+        c.fill();
+
+        const clumps = [[0.3, 0.32], [0.7, 0.3], [0.5, 0.62], [0.26, 0.74], [0.76, 0.72]];
+        clumps.forEach(([cx, cy], i) => {
+            c.beginPath();
+            c.arc(px + cx*cell, py + cy*cell, cell * (0.2 + 0.06 * ((h * (i+3)) % 1)), 0, Math.PI*2);
+            c.fillStyle = HEDGE_COLS[1 + (i + Math.floor(h*10)) % 3];
+            c.fill();
+        });
+
+        // Leaf highlight
+        c.fillStyle = 'rgba(255,255,255,0.12)';
+        c.beginPath();
+        c.arc(px + cell*0.36, py + cell*0.28, cell*0.1, 0, Math.PI*2);
+        c.fill();
+
+        if (h < 0.3) {
+            c.beginPath();
+            c.arc(px + cell*(0.25 + h*1.6), py + cell*(0.3 + h), cell*0.08, 0, Math.PI*2);
+            c.fillStyle = HEDGE_FLOWERS[Math.floor(h * 40) % HEDGE_FLOWERS.length];
+            c.fill();
+        }
+    }
+
+    /** Pond water with a soft ripple and the occasional lily pad. */
+    function drawWaterTile(c, x, y, cell) {
+        const px = x * cell, py = y * cell;
+        const h  = tileHash(x, y);
+
+        c.fillStyle = 'rgba(56, 189, 248, 0.45)';
+        c.fillRect(px, py, cell, cell);
+
+        c.strokeStyle = 'rgba(186, 230, 253, 0.35)';
+        c.lineWidth = 1;
+        c.beginPath();
+        c.arc(px + cell*0.5, py + cell*0.5, cell*(0.18 + h*0.15), Math.PI*1.1, Math.PI*1.9);
+        c.stroke();
+
+        if (h > 0.8) {
+            c.fillStyle = 'rgba(134, 239, 172, 0.85)';
+            c.beginPath();
+            c.arc(px + cell*0.5, py + cell*0.5, cell*0.24, 0.4, Math.PI*2 - 0.1);
+            c.lineTo(px + cell*0.5, py + cell*0.5);
+            c.fill();
+        }
+    }
+
+    /** A mossy garden rock (Survival obstacles grow these mid-run). */
+    function drawRockTile(c, x, y, cell) {
+        const px = x * cell, py = y * cell;
+        const h  = tileHash(x, y);
+
+        c.fillStyle = '#78716c';
+        c.beginPath();
+        c.ellipse(px + cell*0.5, py + cell*0.56, cell*(0.4 + h*0.05), cell*0.34, h - 0.5, 0, Math.PI*2);
+        c.fill();
+
+        c.fillStyle = '#a8a29e';
+        c.beginPath();
+        c.ellipse(px + cell*0.44, py + cell*0.46, cell*0.24, cell*0.17, -0.4, 0, Math.PI*2);
+        c.fill();
+
+        c.fillStyle = 'rgba(134, 239, 172, 0.7)';
+        c.beginPath();
+        c.arc(px + cell*(0.6 + h*0.15), py + cell*0.74, cell*0.1, 0, Math.PI*2);
+        c.fill();
+    }
+
+    /** Faint moss where food never grows. */
+    function drawNoFoodTile(c, x, y, cell) {
+        c.fillStyle = 'rgba(134, 239, 172, 0.05)';
+        c.fillRect(x*cell, y*cell, cell, cell);
+    }
+
+    /**
+     * Pre-render a level's static tiles (hedges, ponds, moss) to a canvas.
+     * `scale` is the devicePixelRatio, so the layer stays sharp on HiDPI
+     * screens; draw it back with drawImage(layer, 0, 0, size, size).
+     */
+    function renderWallLayer(level, size, scale = 1) {
+        const cell  = size / level.grid;
+        const layer = document.createElement('canvas');
+        layer.width = layer.height = Math.round(size * scale);
+        const c = layer.getContext('2d');
+        c.scale(scale, scale);
+        for (const [x, y] of level.noFood) drawNoFoodTile(c, x, y, cell);
+        for (const [x, y] of level.water)  drawWaterTile(c, x, y, cell);
+        for (const [x, y] of level.walls)  drawHedgeTile(c, x, y, cell);
+        return layer;
+    }
+
+    /** One swirling portal ring; each pair shares a colour. */
+    function drawPortal(c, x, y, cell, pairIdx, frame) {
+        const col = PORTAL_COLS[pairIdx % PORTAL_COLS.length];
+        const cx  = x*cell + cell/2;
+        const cy  = y*cell + cell/2;
+        const r   = cell * 0.38;
+
+        c.beginPath();
+        c.arc(cx, cy, r, 0, Math.PI*2);
+        c.fillStyle = rgba(col, 0.18 + 0.06 * Math.sin(frame * 0.08 + pairIdx));
+        c.fill();
+
+        c.lineWidth = Math.max(1.2, cell * 0.07);
+        c.lineCap   = 'round';
+        for (let i = 0; i < 3; i++) {
+            const a = frame * 0.06 + i * (Math.PI * 2 / 3);
+            c.beginPath();
+            c.arc(cx, cy, r * (0.45 + i * 0.2), a, a + Math.PI * 0.9);
+            c.strokeStyle = rgba(col, 0.85 - i * 0.2);
+            c.stroke();
+        }
+    }
+
+    function drawPortals(c, level, cell, frame) {
+        (level.portals || []).forEach((pair, i) => {
+            for (const [x, y] of pair) drawPortal(c, x, y, cell, i, frame);
+        });
+    }
+
+    return {
+        PORTAL_COLS,
+        drawBase, drawHedgeTile, drawWaterTile, drawNoFoodTile, drawRockTile,
+        renderWallLayer, drawPortal, drawPortals,
+    };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyBoard = DreamyBoard;
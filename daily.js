@@ -0,0 +1,118 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * daily.js — The Daily Garden: one seed and one rule twist per day
+ *
+ * The day is LoveSparkStats.todayStr() (UTC), so everybody plays the same
+ * board on the same day: the date is hashed into the engine seed, and the
+ * twist (DreamyEngine.TWISTS) rotates one per day. The board is always the
+ * classic Open Garden at Normal pace.
+ *
+ * The first run of the day is the scored attempt; it counts as soon as it
+ * starts, so closing the tab doesn't buy a retry. Any run after that is
+ * practice. The background worker writes the record as the game reports
+ * attempts; it is saved in chrome.storage.local as `dailyGarden`:
+ *   { scores: { 'YYYY-MM-DD': score }, bestStreak }
+ */
+
+'use strict';
+
+const DreamyDaily = (() => {
+    const DIFFICULTY    = 'normal';
+    const CALENDAR_DAYS = 28;      // four weeks, ending today
+    const DAY_MS        = 86400000;
+    const DAY_RE        = /^\d{4}-\d{2}-\d{2}$/;
+
+    const { TWIST_ORDER } = DreamyEngine;
+
+    function dayNumber(day) { return Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS); }
+    function addDays(day, n) { return new Date((dayNumber(day) + n) * DAY_MS).toISOString().slice(0, 10); }
+
+    /** FNV-1a over the date string → uint32 seed. */
+    function seedFor(day) {
+        let h = 0x811c9dc5;
+        for (const ch of `dreamy-garden:${day}`) {
+            h ^= ch.charCodeAt(0);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /** @returns {{day, seed, twist}} the challenge for a 'YYYY-MM-DD' day */
+    function forDate(day) {
+        return { day, seed: seedFor(day), twist: TWIST_ORDER[dayNumber(day) % TWIST_ORDER.length] };
+    }
+
+    function today() { return forDate(LoveSparkStats.todayStr()); }
+
+    // ─── Streaks + calendar ─────────────────────────────────────────────────
+
+    /**
+     * Days in a row with an attempt, ending today — or yesterday, so a
+     * streak stays alive until today's garden has been missed.
+     */
+    function streak(scores, day) {
+        let d = day in scores ? day : addDays(day, -1);
+        let n = 0;
+        for (; d in scores; d = addDays(d, -1)) n++;
+        return n;
+    }
+
+    /** The last CALENDAR_DAYS days, oldest first: [{day, score | null}] */
+    function calendar(scores, day) {
+        const out = [];
+        for (let i = CALENDAR_DAYS - 1; i >= 0; i--) {
+            const d = addDays(day, -i);
+            out.push({ day: d, score: d in scores ? scores[d] : null });
+        }
+        return out;
+    }
+
+    // ─── Storage ────────────────────────────────────────────────────────────
+
+    function sanitize(saved) {
+        const scores = {};
+        const src = saved && saved.scores && typeof saved.scores === 'object' ? saved.scores : {};
+        for (const [day, score] of Object.entries(src)) {
+            if (DAY_RE.test(day) && Number.isInteger(score) && score >= 0) scores[day] = score;
+        }
+        const bestStreak = saved && Number.isInteger(saved.bestStreak) ? saved.bestStreak : 0;
+        return { scores, bestStreak };
+    }
+
+    /** Every day of either record at its higher score, and the longer best streak. */
+    function merge(a, b) {
+        a = sanitize(a);
+        b = sanitize(b);
+        const scores = { ...a.scores };
+        for (const [day, score] of Object.entries(b.scores)) scores[day] = Math.max(scores[day] || 0, score);
+        return { scores, bestStreak: Math.max(a.bestStreak, b.bestStreak) };
+    }
+
+    async function load() {
+        const { dailyGarden } = await chrome.storage.local.get('dailyGarden');
+        return sanitize(dailyGarden);
+    }
+
+    async function save(data) {
+        data.bestStreak = Math.max(data.bestStreak, streak(data.scores, LoveSparkStats.todayStr()));
+        await chrome.storage.local.set({ dailyGarden: data });
+        return data;
+    }
+
+    /** Use up the day's scored attempt (at 0 until it ends). */
+    async function startAttempt(day) {
+        const data = await load();
+        if (!(day in data.scores)) data.scores[day] = 0;
+        return save(data);
+    }
+
+    async function finishAttempt(day, score) {
+        const data = await load();
+        data.scores[day] = score;
+        return save(data);
+    }
+
+    return { DIFFICULTY, CALENDAR_DAYS, forDate, today, streak, calendar, sanitize, merge, load, startAttempt, finishAttempt };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyDaily = DreamyDaily;
@@ -0,0 +1,422 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * editor.js — In-extension level editor
+ *
+ * Paint hedges, ponds, no-food moss, portal pairs and the spawn point on
+ * the same 500px board the game uses (tiles come from board.js). Levels
+ * are checked with DreamyLevels.validate() before they leave the editor:
+ *
+ *   Test play → chrome.storage.local.levelDraft, opens newtab.html?level=draft
+ *   Save      → chrome.storage.local.customLevels (listed on the start overlay)
+ *   Export    → .json file in the level format from levels.js
+ */
+
+'use strict';
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const SIZE      = 500;
+const DIR_ORDER = ['R', 'D', 'L', 'U'];   // spawn tool rotates clockwise
+const SEG_COLS  = ['#c084fc', '#f9a8d4', '#86efac'];
+
+const TOOL_TIPS = {
+    walls:  'Click or drag to plant hedges.',
+    water:  'Click or drag to dig a pond.',
+    noFood: 'Moss tiles never grow food or power-ups.',
+    portal: 'Click two open tiles to link a portal pair. Click a portal to remove it.',
+    spawn:  'Click to place the caterpillar’s head. Click it again to turn it.',
+    erase:  'Click or drag to clear tiles and portals.',
+};
+
+// ─── State ──────────────────────────────────────────────────────────────────
+
+const ed = {
+    grid:        20,
+    tiles:       new Map(),   // tile key → 'walls' | 'water' | 'noFood'
+    portals:     [],          // [[[x,y],[x,y]], …]
+    spawn:       { x: 10, y: 10, dir: 'R' },
+    tool:        'walls',
+    painting:    false,
+    portalStart: null,        // first end of a portal pair being placed
+    hover:       null,
+    savedId:     null,        // id in customLevels once saved
+    layer:       null,        // pre-rendered static tiles
+    dirty:       true,        // layer needs re-rendering
+    frame:       0,
+    saved:       [],          // customLevels from storage
+};
+
+// ─── DOM ────────────────────────────────────────────────────────────────────
+
+const canvas    = document.getElementById('editorCanvas');
+const ctx       = canvas.getContext('2d');
+const DPR       = window.devicePixelRatio || 1;
+const elName    = document.getElementById('level-name');
+const elGrid    = document.getElementById('level-grid');
+const elTip     = document.getElementById('tool-tip');
+const elStatus  = document.getElementById('editor-status');
+const elOpen    = document.getElementById('open-select');
+const elFile    = document.getElementById('import-file');
+
+// ─── Level <-> editor state ─────────────────────────────────────────────────
+
+function cell() { return SIZE / ed.grid; }
+function key(x, y) { return y * ed.grid + x; }
+
+function toLevel() {
+    const level = DreamyLevels.blank(ed.grid);
+    level.name = elName.value;
+    for (const [k, type] of ed.tiles) level[type].push([k % ed.grid, Math.floor(k / ed.grid)]);
+    level.portals = ed.portals.map(([a, b]) => [[...a], [...b]]);
+    level.spawn   = { ...ed.spawn };
+    return level;
+}
+
+function loadLevel(level, savedId = null) {
+    ed.grid  = level.grid;
+    ed.tiles = new Map();
+    for (const type of ['walls', 'water', 'noFood']) {
+        for (const [x, y] of level[type]) ed.tiles.set(key(x, y), type);
+    }
+    ed.portals     = level.portals.map(([a, b]) => [[...a], [...b]]);
+    ed.spawn       = { ...level.spawn };
+    ed.portalStart = null;
+    ed.savedId     = savedId;
+    ed.dirty       = true;
+    elName.value   = level.name;
+    if (![...elGrid.options].some(o => +o.value === ed.grid)) {
+        const opt = document.createElement('option');
+        opt.value = String(ed.grid);
+        opt.textContent = `${ed.grid} × ${ed.grid}`;
+        elGrid.appendChild(opt);
+    }
+    elGrid.value = String(ed.grid);
+}
+
+/** Validate the current map; report the problem and return null if it's unusable. */
+function checkedLevel() {
+    try {
+        return DreamyLevels.validate(toLevel());
+    } catch (err) {
+        setStatus(err.message, true);
+        return null;
+    }
+}
+
+function setStatus(msg, isError = false) {
+    elStatus.textContent = msg;
+    elStatus.classList.toggle('error', isError);
+}
+
+// ─── Editing ────────────────────────────────────────────────────────────────
+
+function spawnTiles(spawn = ed.spawn) {
+    const d = DreamyEngine.DIRS[spawn.dir];
+    return [0, 1, 2].map(i => key(spawn.x - d.x*i, spawn.y - d.y*i));
+}
+
+function portalAt(x, y) {
+    return ed.portals.findIndex(pair => pair.some(([px, py]) => px === x && py === y));
+}
+
+function removePortalAt(x, y) {
+    const i = portalAt(x, y);
+    if (i >= 0) { ed.portals.splice(i, 1); return true; }
+    return false;
+}
+
+/** Paint (or erase) one tile with the current brush tool. */
+function paint(x, y) {
+    const k = key(x, y);
+    if (ed.tool === 'erase') {
+        const hadTile   = ed.tiles.delete(k);
+        const hadPortal = removePortalAt(x, y);
+        if (hadTile || hadPortal) ed.dirty = true;
+        return;
+    }
+    // Keep the spawn tiles and portals clear of solid tiles
+    if ((ed.tool === 'walls' || ed.tool === 'water') && spawnTiles().includes(k)) return;
+    if (portalAt(x, y) >= 0) return;
+    if (ed.tiles.get(k) !== ed.tool) {
+        ed.tiles.set(k, ed.tool);
+        ed.dirty = true;
+    }
+}
+
+function placePortal(x, y) {
+    if (removePortalAt(x, y)) { ed.portalStart = null; return; }
+    const k = key(x, y);
+    const blocked = (ed.tiles.get(k) === 'walls' || ed.tiles.get(k) === 'water') || spawnTiles().includes(k);
+    if (blocked) { setStatus('Portals need an open tile away from the spawn point.', true); return; }
+
+    const start = ed.portalStart;
+    if (!start) { ed.portalStart = [x, y]; return; }
+    if (start[0] === x && start[1] === y) { ed.portalStart = null; return; }
+    if (ed.portals.length >= DreamyLevels.MAX_PORTALS) {
+        setStatus(`A garden can have at most ${DreamyLevels.MAX_PORTALS} portal pairs.`, true);
+        ed.portalStart = null;
+        return;
+    }
+    ed.tiles.delete(key(start[0], start[1]));
+    ed.tiles.delete(k);
+    ed.portals.push([start, [x, y]]);
+    ed.portalStart = null;
+    ed.dirty = true;
+    setStatus('');
+}
+
+function placeSpawn(x, y) {
+    const same = ed.spawn.x === x && ed.spawn.y === y;
+    const dir  = same ? DIR_ORDER[(DIR_ORDER.indexOf(ed.spawn.dir) + 1) % 4] : ed.spawn.dir;
+    const next = { x, y, dir };
+    const ok = spawnTiles(next).every((k, i) => {
+        const d  = DreamyEngine.DIRS[dir];
+        const tx = x - d.x*i, ty = y - d.y*i;
+        const t  = ed.tiles.get(k);
+        return tx >= 0 && tx < ed.grid && ty >= 0 && ty < ed.grid &&
+            t !== 'walls' && t !== 'water' && portalAt(tx, ty) < 0;
+    });
+    if (!ok) { setStatus('The caterpillar needs three open tiles behind its head.', true); return; }
+    ed.spawn = next;
+    setStatus('');
+}
+
+function resize(grid) {
+    const old = ed.grid;
+    const tiles = new Map();
+    for (const [k, type] of ed.tiles) {
+        const x = k % old, y = Math.floor(k / old);
+        if (x < grid && y < grid) tiles.set(y * grid + x, type);
+    }
+    ed.grid    = grid;
+    ed.tiles   = tiles;
+    ed.portals = ed.portals.filter(pair => pair.every(([x, y]) => x < grid && y < grid));
+    ed.portalStart = null;
+    const d = DreamyEngine.DIRS[ed.spawn.dir];
+    const inside = [0, 1, 2].every(i => {
+        const x = ed.spawn.x - d.x*i, y = ed.spawn.y - d.y*i;
+        return x >= 0 && x < grid && y >= 0 && y < grid;
+    });
+    const c = Math.floor(grid / 2);
+    if (!inside) ed.spawn = { x: c, y: c, dir: 'R' };
+    ed.dirty = true;
+}
+
+// ─── Pointer input ──────────────────────────────────────────────────────────
+
+function tileAt(e) {
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) / rect.width  * ed.grid);
+    const y = Math.floor((e.clientY - rect.top)  / rect.height * ed.grid);
+    return x >= 0 && x < ed.grid && y >= 0 && y < ed.grid ? {x, y} : null;
+}
+
+canvas.addEventListener('pointerdown', e => {
+    const t = tileAt(e);
+    if (!t) return;
+    if (ed.tool === 'portal') { placePortal(t.x, t.y); return; }
+    if (ed.tool === 'spawn')  { placeSpawn(t.x, t.y);  return; }
+    ed.painting = true;
+    canvas.setPointerCapture(e.pointerId);
+    paint(t.x, t.y);
+});
+canvas.addEventListener('pointermove', e => {
+    ed.hover = tileAt(e);
+    if (ed.painting && ed.hover) paint(ed.hover.x, ed.hover.y);
+});
+canvas.addEventListener('pointerup',    () => { ed.painting = false; });
+canvas.addEventListener('pointerleave', () => { ed.hover = null; });
+
+// ─── Drawing ────────────────────────────────────────────────────────────────
+
+/** Preview of the caterpillar at the spawn point, head first. */
+function drawSpawn() {
+    const c = cell();
+    const d = DreamyEngine.DIRS[ed.spawn.dir];
+    for (let i = 2; i >= 0; i--) {
+        const cx = (ed.spawn.x - d.x*i) * c + c/2;
+        const cy = (ed.spawn.y - d.y*i) * c + c/2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, c * (i === 0 ? 0.48 : 0.42), 0, Math.PI*2);
+        ctx.fillStyle = SEG_COLS[i];
+        ctx.fill();
+    }
+    // Heading arrow
+    const hx = ed.spawn.x * c + c/2, hy = ed.spawn.y * c + c/2;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth   = Math.max(1.5, c * 0.08);
+    ctx.lineCap     = 'round';
+    ctx.beginPath();
+    ctx.moveTo(hx - d.x*c*0.2 - d.y*c*0.18, hy - d.y*c*0.2 - d.x*c*0.18);
+    ctx.lineTo(hx + d.x*c*0.22, hy + d.y*c*0.22);
+    ctx.lineTo(hx - d.x*c*0.2 + d.y*c*0.18, hy - d.y*c*0.2 + d.x*c*0.18);
+    ctx.stroke();
+}
+
+function drawHighlight(x, y, color) {
+    const c = cell();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(x*c + 1, y*c + 1, c - 2, c - 2, c * 0.2);
+    ctx.stroke();
+}
+
+function render() {
+    ed.frame++;
+    const c = cell();
+    if (ed.dirty) {
+        ed.layer = DreamyBoard.renderWallLayer(toLevel(), SIZE, DPR);
+        ed.dirty = false;
+    }
+    DreamyBoard.drawBase(ctx, SIZE, ed.grid);
+    ctx.drawImage(ed.layer, 0, 0, SIZE, SIZE);
+    ed.portals.forEach((pair, i) => {
+        for (const [x, y] of pair) DreamyBoard.drawPortal(ctx, x, y, c, i, ed.frame);
+    });
+    if (ed.portalStart) {
+        const [x, y] = ed.portalStart;
+        DreamyBoard.drawPortal(ctx, x, y, c, ed.portals.length, ed.frame);
+        drawHighlight(x, y, 'rgba(255,255,255,0.8)');
+    }
+    drawSpawn();
+    if (ed.hover) drawHighlight(ed.hover.x, ed.hover.y, 'rgba(255,182,193,0.7)');
+    requestAnimationFrame(render);
+}
+
+// ─── Storage + files ────────────────────────────────────────────────────────
+
+async function loadSaved() {
+    const { customLevels } = await chrome.storage.local.get('customLevels');
+    ed.saved = customLevels || [];
+    fillOpenSelect();
+}
+
+function fillOpenSelect() {
+    elOpen.textContent = '';
+    const addGroup = (label, levels) => {
+        if (!levels.length) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const level of levels) {
+            const opt = document.createElement('option');
+            opt.value = level.id;
+            opt.textContent = level.name;
+            group.appendChild(opt);
+        }
+        elOpen.appendChild(group);
+    };
+    addGroup('Your gardens', ed.saved);
+    addGroup('Built-in (as a template)', DreamyLevels.BUILT_IN);
+}
+
+async function saveLevel() {
+    const level = checkedLevel();
+    if (!level) return;
+    ed.savedId = ed.savedId || 'custom-' + Date.now().toString(36);
+    level.id   = ed.savedId;
+    const { customLevels = [] } = await chrome.storage.local.get('customLevels');
+    const i = customLevels.findIndex(l => l.id === level.id);
+    if (i >= 0) customLevels[i] = level; else customLevels.push(level);
+    await chrome.storage.local.set({ customLevels });
+    ed.saved = customLevels;
+    fillOpenSelect();
+    setStatus(`Saved “${level.name}” — pick it on the start screen 🌸`);
+}
+
+async function deleteLevel(id) {
+    const level = ed.saved.find(l => l.id === id);
+    if (!level || !confirm(`Delete “${level.name}”?`)) return;
+    const customLevels = ed.saved.filter(l => l.id !== id);
+    await chrome.storage.local.set({ customLevels });
+    ed.saved = customLevels;
+    if (ed.savedId === id) ed.savedId = null;
+    fillOpenSelect();
+    setStatus(`Deleted “${level.name}”.`);
+}
+
+async function testPlay() {
+    const level = checkedLevel();
+    if (!level) return;
+    await chrome.storage.local.set({ levelDraft: level });
+    chrome.tabs.create({ url: chrome.runtime.getURL('newtab.html') + '?play=1&level=draft' });
+}
+
+function exportLevel() {
+    const level = checkedLevel();
+    if (!level) return;
+    delete level.id;
+    const blob = new Blob([DreamyLevels.stringify(level)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = `${level.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'garden'}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function importLevel(file) {
+    try {
+        loadLevel(DreamyLevels.parse(await file.text()));
+        setStatus(`Imported “${elName.value}”. Save it to play it from the start screen.`);
+    } catch (err) {
+        setStatus(err.message, true);
+    }
+}
+
+// ─── Controls ───────────────────────────────────────────────────────────────
+
+function selectTool(tool) {
+    ed.tool = tool;
+    ed.portalStart = null;
+    elTip.textContent = TOOL_TIPS[tool];
+    document.querySelectorAll('.tool-btn').forEach(btn => {
+        const on = btn.dataset.tool === tool;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-checked', String(on));
+    });
+}
+
+document.querySelector('.tool-grid').addEventListener('click', e => {
+    const btn = e.target.closest('.tool-btn');
+    if (btn) selectTool(btn.dataset.tool);
+});
+
+elGrid.addEventListener('change', () => resize(+elGrid.value));
+elName.addEventListener('input', () => setStatus(''));
+
+document.getElementById('test-btn').addEventListener('click', testPlay);
+document.getElementById('save-btn').addEventListener('click', saveLevel);
+document.getElementById('export-btn').addEventListener('click', exportLevel);
+document.getElementById('import-btn').addEventListener('click', () => elFile.click());
+document.getElementById('new-btn').addEventListener('click', () => {
+    loadLevel(DreamyLevels.blank(+elGrid.value));
+    setStatus('');
+});
+document.getElementById('open-btn').addEventListener('click', () => {
+    const saved = ed.saved.find(l => l.id === elOpen.value);
+    if (saved) {
+        try { loadLevel(DreamyLevels.validate(saved), saved.id); setStatus(''); }
+        catch (err) { setStatus(err.message, true); }
+        return;
+    }
+    const builtIn = DreamyLevels.get(elOpen.value);
+    if (builtIn) loadLevel({ ...builtIn, name: builtIn.name + ' (copy)' });
+});
+document.getElementById('delete-btn').addEventListener('click', () => deleteLevel(elOpen.value));
+elFile.addEventListener('change', () => {
+    const file = elFile.files[0];
+    elFile.value = '';
+    if (file) importLevel(file);
+});
+
+// ─── Init ───────────────────────────────────────────────────────────────────
+
+selectTool('walls');
+loadLevel(DreamyLevels.blank(20));
+// Sharp on HiDPI screens: CSS keeps it 500px, the backing store follows DPR
+canvas.width = canvas.height = Math.round(SIZE * DPR);
+ctx.scale(DPR, DPR);
+
+loadSaved();
+requestAnimationFrame(render);
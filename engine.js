@@ -0,0 +1,1097 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * engine.js — Headless, deterministic rules engine
+ *
+ * Everything that decides what happens on the board lives here: movement,
+ * wall/self collision, wrap and ghost rules, food placement and the
+ * power-up and hazard lifecycles. The engine never touches the DOM, Math.random() or
+ * performance.now():
+ *
+ *   - randomness comes from a seeded PRNG (mulberry32), and
+ *   - time comes from a simulated game clock that advances by exactly one
+ *     step duration per tick, no matter how the host slices real time.
+ *
+ * Same seed + same inputs on the same ticks → the exact same run.
+ *
+ * Usage:
+ *   const eng = DreamyEngine.create({ seed: 1234 });
+ *   eng.on('ate', e => …);          // subscribe to events
+ *   eng.input({ x: 0, y: -1 });     // steer (queued, reversal guard)
+ *   eng.update(dtMs);               // advance the clock, ticking when due
+ *   eng.step();                     // or force exactly one tick
+ *   eng.state.players[0].snake / .foods / …   // read back the board
+ *
+ * Pass `level` (see levels.js for the map format) to play on a map with
+ * hedges, water, portals and food-exclusion tiles; without one the board
+ * is the classic empty GRID×GRID square. Pass `difficulty` (a DIFFICULTIES
+ * id, default 'normal') to pick the pace, speed ramp and power-up rates,
+ * and `mode` (a MODES id, default 'classic') to pick the rules. `twist`
+ * (a TWISTS id) bends one rule on top, as the Daily Garden does.
+ * `powerups` (POWERUP_TYPES ids) limits which power-ups can spawn, and
+ * `combos` (COMBOS ids) which combos overlapping power-ups make and
+ * `hazards` (HAZARD_TYPES ids) which hazard mushrooms can spawn; all three
+ * default to all of them. `foodTiers: false` makes every mushroom worth
+ * 1 and 1 segment, with no golden ones, as before MUSHROOM_TIERS, and
+ * `multiplier: false` turns off the multiplier for eating quickly.
+ *
+ * Every caterpillar lives in state.players[i] ({snake, dir, score, …});
+ * single-player modes have just players[0]. Versus adds a second player
+ * steered with input(dir, 1); its rounds end as soon as anyone crashes.
+ *
+ * Events (emitted after each tick, in order):
+ *   ate               {x, y, mush, points, grow, score, mult, player}
+ *   died              {x, y, cause, score, player}   cause: 'wall' (hedges, water
+ *                                                    and rocks too) | 'self' | 'rival' | 'head'
+ *   ended             {x, y, cause: 'time' | 'quit' | 'round', score, winner}
+ *                                                    (run over without dying; Versus
+ *                                                    rounds end here, winner null = draw)
+ *   trimmed           {x, y, count, score}      (Zen: bit its own tail off)
+ *   bumped            {x, y}                    (Zen: nosed into a hedge and waited)
+ *   obstacleAdded     {x, y, score}             (Survival: a rock grew)
+ *   powerupSpawned    {x, y, powerup}           (powerup: POWERUP_TYPES index)
+ *   powerupDespawned  {x, y, powerup}
+ *   powerupCollected  {x, y, powerup}
+ *   powerupExpired    {powerup}
+ *   teleported        {fromX, fromY, x, y}      (head went through a portal)
+ *   wrapped           {x, y}                    (head came out the far edge: Wrap or Zen)
+ *   phased            {x, y, player}            (Ghost: head passed through a body)
+ *   absorbed          {x, y, powerup, cause}    (Shield: took a fatal hit, then wore off)
+ *   shrunk            {x, y, count, score}      (Shrink: tail segments dropped)
+ *   comboStarted      {x, y, combo}             (combo: COMBOS index; x, y = head)
+ *   comboEnded        {combo}
+ *   hazardSpawned     {x, y, hazard}            (hazard: HAZARD_TYPES index)
+ *   hazardDespawned   {x, y, hazard}
+ *   hazardEaten       {x, y, hazard}
+ *   hazardExpired     {hazard}
+ *   goldenSpawned     {x, y}                    (a golden mushroom, there for GOLDEN_MS)
+ *   foodWithered      {x, y, mush}              (a golden mushroom or spore ran out of time)
+ *   multUp            {x, y, mult, player}      (ate within MULT_WINDOW_MS of the last one)
+ *   multDown          {mult, player}            (a whole window went by without eating)
+ *
+ * Loads as a classic script (globalThis.DreamyEngine) on the page and
+ * via require() in Node.
+ */
+
+'use strict';
+
+const DreamyEngine = (() => {
+
+    // ─── Rules ──────────────────────────────────────────────────────────────
+
+    const GRID          = 20;    // cells per row/col
+    const MOVE_MS       = 140;   // ms per snake step at Normal's start (lower = faster)
+    const FOOD_VARIANTS = 5;     // everyday mushrooms, the first MUSHROOM_TIERS
+    const MAX_TURNS     = 3;     // turns a caterpillar can have queued up
+    const START_LENGTH  = 3;     // segments a caterpillar hatches with
+
+    /**
+     * Difficulty presets. Each step takes
+     *   max(minMoveMs, moveMs − rampMs × mushrooms eaten)
+     * ms, so the caterpillar speeds up as it eats. Power-up rolls use
+     * powerupChance and only start once it has eaten powerupMinEaten
+     * mushrooms; hazard rolls likewise use hazardChance and hazardMinEaten.
+     * Counting mushrooms rather than points keeps tiers and the multiplier
+     * from rushing the pace.
+     *
+     * 'classic' is the original flat 140ms pace; it isn't offered in the
+     * picker but keeps replays recorded before presets existed in sync.
+     */
+    const DIFFICULTIES = {
+        cozy:    { id: 'cozy',    label: 'Cozy',   icon: '🌙', moveMs: 170, minMoveMs: 120, rampMs: 1,   powerupChance: 0.8,  powerupMinEaten: 1, hazardChance: 0.25, hazardMinEaten: 6 },
+        normal:  { id: 'normal',  label: 'Normal', icon: '🌸', moveMs: MOVE_MS, minMoveMs: 90, rampMs: 1.5, powerupChance: 0.6, powerupMinEaten: 3, hazardChance: 0.4, hazardMinEaten: 4 },
+        wild:    { id: 'wild',    label: 'Wild',   icon: '🔥', moveMs: 110, minMoveMs: 65,  rampMs: 2.5, powerupChance: 0.45, powerupMinEaten: 5, hazardChance: 0.55, hazardMinEaten: 2 },
+        classic: { id: 'classic', label: 'Classic', icon: '🍄', moveMs: MOVE_MS, minMoveMs: MOVE_MS, rampMs: 0, powerupChance: 0.6, powerupMinEaten: 3, hazardChance: 0.4, hazardMinEaten: 4, hidden: true },
+    };
+    const DIFFICULTY_ORDER = ['cozy', 'normal', 'wild'];   // as offered to players
+
+    /**
+     * Game modes.
+     *   zen       never dies: the outer edge always wraps, hedges just stop
+     *             you, and biting yourself trims the tail. Score = length
+     *             grown, whatever the mushrooms are worth (so no multiplier),
+     *             and trimming costs points; the player ends the session.
+     *   time…     classic rules against the clock (simulated ms); the run
+     *             is summed up as mushrooms eaten (players[i].eaten).
+     *   survival  several mushrooms at once; every obstacleMs a permanent
+     *             rock grows somewhere open, worth obstacleBonus for lasting.
+     *   versus    two caterpillars, one board, no power-ups. Hitting a wall or
+     *             any body loses the round; meeting head-on knocks both out.
+     *   daily     classic rules; the host picks the seed and a twist by date.
+     */
+    const MODES = {
+        classic:  { id: 'classic',  label: 'Classic',            icon: '🍄' },
+        zen:      { id: 'zen',      label: 'Zen',                icon: '🧘', noDeath: true },
+        time60:   { id: 'time60',   label: 'Time Attack · 60s',  icon: '⏱️', timeLimit: 60000 },
+        time120:  { id: 'time120',  label: 'Time Attack · 120s', icon: '⏱️', timeLimit: 120000 },
+        survival: { id: 'survival', label: 'Survival',           icon: '🪨', foodCount: 3, obstacleMs: 10000, obstacleBonus: 1 },
+        versus:   { id: 'versus',   label: 'Versus',             icon: '👥', players: 2 },
+        daily:    { id: 'daily',    label: 'Daily Garden',       icon: '📅' },
+    };
+    const MODE_ORDER = ['classic', 'zen', 'time60', 'time120', 'survival', 'versus', 'daily'];
+
+    /**
+     * Rule twists, one at a time on top of a mode (see daily.js).
+     *   wrap       the outer edge always wraps, as if Wrap never ran out
+     *   speed      step time multiplier
+     *   foodCount  mushrooms on the board at once
+     *   powerups   power-up roll overrides for the difficulty
+     */
+    const TWISTS = {
+        wrap:  { id: 'wrap',  label: 'Wrap-around',  icon: '🌀', desc: 'the edges always wrap', wrap: true },
+        swift: { id: 'swift', label: 'Double Speed', icon: '⚡', desc: 'everything moves twice as fast', speed: 0.5 },
+        feast: { id: 'feast', label: 'Feast',        icon: '🍄', desc: 'three mushrooms at once', foodCount: 3 },
+        lucky: { id: 'lucky', label: 'Lucky',        icon: '🍀', desc: 'a power-up every chance there is', powerups: { powerupChance: 1, powerupMinEaten: 0 } },
+    };
+    const TWIST_ORDER = ['wrap', 'swift', 'feast', 'lucky'];
+
+    const OBSTACLE_CLEARANCE = 3;     // rocks never grow this close (steps) to the head
+    const MAX_OBSTACLE_SHARE = 0.25;  // …or past a quarter of the board
+
+    /** Direction codes used by level spawns and replay files. */
+    const DIRS = { U: {x:0,y:-1}, D: {x:0,y:1}, L: {x:-1,y:0}, R: {x:1,y:0} };
+
+    const POWERUP_SPAWN_INTERVAL = 8000;   // ms between spawn attempts
+    const POWERUP_DESPAWN_MS     = 10000;  // disappear after 10s if uneaten
+    const HAZARD_SPAWN_INTERVAL  = 6000;   // ms between hazard spawn attempts
+    const HAZARD_DESPAWN_MS      = 7000;   // a hazard wilts after 7s if left alone
+    const POISON_SEGMENTS        = 3;      // tail segments a poison cap chops off
+    const GOLDEN_SPAWN_INTERVAL  = 12000;  // ms between golden mushroom rolls
+    const GOLDEN_CHANCE          = 0.2;    // …each one this likely
+    const GOLDEN_MIN_EATEN       = 3;      // …once this many mushrooms are eaten
+    const GOLDEN_MS              = 5000;   // how long a golden mushroom stays
+    const MULT_WINDOW_MS         = 3000;   // eat again within this to raise the multiplier…
+    const MAX_MULTIPLIER         = 8;      // …up to this; each window without one drops it a level
+    const SHRINK_SEGMENTS        = 4;      // tail segments Shrink drops…
+    const MIN_LENGTH             = START_LENGTH;   // …never going below the starting length
+    const MAGNET_RANGE           = 5;      // steps from the head a mushroom feels the pull
+    const MAGNET_EVERY           = 2;      // ticks per cell a pulled mushroom drifts
+    const SPORE_EVERY            = 3;      // ticks between spores on a Spore Trail
+    const SPORE_MS               = 5000;   // how long a spore mushroom lasts
+    const MAX_SPORES             = 6;      // spores on the board at once
+
+    /**
+     * What each mushroom is worth, by its `mush` index (MUSHROOMS in game.js
+     * draws them in the same order). Eating one scores `points` (times any
+     * power-up multiplier) and grows the caterpillar by `grow` segments.
+     * New mushrooms are picked by `weight`; the golden one never is, it
+     * only turns up now and then on its own, for GOLDEN_MS.
+     */
+    const MUSHROOM_TIERS = [
+        { id: 'red',    label: 'Red',    points: 1,  grow: 1, weight: 5 },
+        { id: 'purple', label: 'Purple', points: 2,  grow: 1, weight: 3 },
+        { id: 'blue',   label: 'Blue',   points: 2,  grow: 2, weight: 2 },
+        { id: 'orange', label: 'Orange', points: 3,  grow: 2, weight: 1 },
+        { id: 'green',  label: 'Green',  points: 1,  grow: 0, weight: 3 },
+        { id: 'golden', label: 'Golden', points: 10, grow: 1, weight: 0 },
+    ];
+    const GOLDEN = MUSHROOM_TIERS.findIndex(t => t.id === 'golden');
+    const FLAT_TIER = { points: 1, grow: 1 };   // every mushroom, without tiers
+
+    /**
+     * Power-ups, in registry order: a power-up's `type` everywhere (events,
+     * state, replays) is its index here, so new ones go on the end. Each
+     * one's rules are hooks the engine calls; the engine never asks for a
+     * power-up by name.
+     *   duration        ms it stays active; 0 = instant, it only collects
+     *   speed           step-time multiplier while active (< 1 is faster)
+     *   points          mushroom score multiplier while active
+     *   wraps           running off the board comes back on the far side
+     *   collide(cause)  a fatal hit while active: 'edge' (the board's rim),
+     *                   'wall' (hedges, water, rocks) or 'body'. 'pass' goes
+     *                   through (not the rim: that's what `wraps` is for),
+     *                   'absorb' takes the hit, holding the caterpillar in
+     *                   place, and uses the power up; anything else lets
+     *                   the hit happen
+     *   collect(api)    once when picked up
+     *   tick(api)       every tick while active
+     * `api` is the run's rules toolkit, see powerApi in create(). label,
+     * icon, color and glow are for the host's HUD.
+     */
+    const POWERUP_TYPES = [
+        { id: 'speed',  label: 'SPEED',     icon: '⚡', duration: 6000,  color: '#facc15', glow: '#fde68a', speed: 0.6 },
+        { id: 'ghost',  label: 'GHOST',     icon: '👻', duration: 7000,  color: '#a78bfa', glow: '#c4b5fd',
+          collide: cause => (cause === 'body' ? 'pass' : null) },
+        { id: 'wrap',   label: 'WRAP',      icon: '🌀', duration: 8000,  color: '#34d399', glow: '#6ee7b7', wraps: true },
+        { id: 'slowmo', label: 'SLOW-MO',   icon: '🐌', duration: 7000,  color: '#7dd3fc', glow: '#bae6fd', speed: 1.6 },
+        { id: 'shrink', label: 'SHRINK',    icon: '✂️', duration: 0,     color: '#fb923c', glow: '#fed7aa',
+          collect: api => api.shrink(SHRINK_SEGMENTS) },
+        { id: 'magnet', label: 'MAGNET',    icon: '🧲', duration: 8000,  color: '#f87171', glow: '#fecaca', range: MAGNET_RANGE,
+          tick(api) {
+              const { foods, tick } = api.state;
+              if (tick % MAGNET_EVERY) return;
+              const head = api.state.players[0].snake[0];
+              for (const f of foods) {
+                  const dx = head.x - f.x, dy = head.y - f.y;
+                  if (Math.abs(dx) + Math.abs(dy) > this.range) continue;
+                  const to = Math.abs(dx) >= Math.abs(dy)
+                      ? { x: f.x + Math.sign(dx), y: f.y }
+                      : { x: f.x, y: f.y + Math.sign(dy) };
+                  if (api.canHoldFood(to.x, to.y)) { f.x = to.x; f.y = to.y; }
+              }
+          } },
+        { id: 'double', label: 'DOUBLE',    icon: '✖️', duration: 8000,  color: '#f472b6', glow: '#fbcfe8', points: 2 },
+        { id: 'shield', label: 'SHIELD',    icon: '🛡️', duration: 15000, color: '#60a5fa', glow: '#bfdbfe',
+          collide: () => 'absorb' },
+    ];
+    const POWERUP_IDS = POWERUP_TYPES.map(t => t.id);
+
+    /**
+     * Combos: extra rules that switch on while every one of `parts` (power-up
+     * ids) is active, and off as soon as one runs out. A combo's `combo`
+     * everywhere is its index here, so new ones go on the end. They take the
+     * same hooks as a power-up except duration, collect and an 'absorb'
+     * answer, and stack on top of their parts' own rules.
+     */
+    const COMBOS = [
+        // Ghost already passes bodies and Wrap the rim; together, hedges too
+        { id: 'phantom', label: 'PHANTOM',     icon: '🌫️', parts: ['ghost', 'wrap'],  color: '#c4b5fd', glow: '#a7f3d0',
+          collide: cause => (cause === 'wall' ? 'pass' : null) },
+        // Short-lived mushrooms sprout where the tail has just been
+        { id: 'spores',  label: 'SPORE TRAIL', icon: '🍄', parts: ['speed', 'ghost'], color: '#fde68a', glow: '#ddd6fe',
+          tick(api) {
+              const { foods, tick, time, players } = api.state;
+              if (tick % SPORE_EVERY || foods.filter(f => f.fadesAt).length >= MAX_SPORES) return;
+              const tail = players[0].snake[players[0].snake.length - 1];
+              if (!api.canHoldFood(tail.px, tail.py)) return;
+              foods.push({ x: tail.px, y: tail.py, px: tail.px, py: tail.py, mush: api.rng.int(FOOD_VARIANTS), fadesAt: time + SPORE_MS });
+          } },
+    ];
+
+    const COMBO_IDS = COMBOS.map(c => c.id);
+
+    /**
+     * Hazard mushrooms, in registry order like POWERUP_TYPES (a hazard's
+     * `hazard` is its index here). Eating one is never worth points; it
+     * takes the power-up hooks, plus
+     *   reverses        turns come out the opposite way while active
+     * Hazards are single-player too, and only one is on the board at a time.
+     */
+    const HAZARD_TYPES = [
+        { id: 'toadstool', label: 'REVERSED', icon: '🔄', duration: 5000, color: '#a3e635', glow: '#d9f99d', reverses: true },
+        { id: 'sleepy',    label: 'SLEEPY',   icon: '💤', duration: 6000, color: '#818cf8', glow: '#c7d2fe', speed: 1.5, points: 2 },
+        { id: 'poison',    label: 'POISON',   icon: '☠️', duration: 0,    color: '#84cc16', glow: '#365314',
+          collect: api => api.shrink(POISON_SEGMENTS) },
+    ];
+
+    const HAZARD_IDS = HAZARD_TYPES.map(t => t.id);
+
+    // ─── Seeded PRNG ────────────────────────────────────────────────────────
+
+    /** mulberry32: tiny, fast, and good enough for placing mushrooms. */
+    function createRng(seed) {
+        let a = seed >>> 0;
+        function next() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        return { next, int: n => Math.floor(next() * n) };
+    }
+
+    // ─── Engine ─────────────────────────────────────────────────────────────
+
+    /**
+     * Turn a level map into lookup tables. Levels are validated by
+     * DreamyLevels before they get here; no level means the open board.
+     */
+    function compileLevel(level) {
+        const grid   = level ? level.grid : GRID;
+        const solid  = new Set();
+        const noFood = new Set();
+        const portals = new Map();   // tile key → exit tile {x, y}
+        if (level) {
+            for (const [x, y] of level.walls)        solid.add(y*grid + x);
+            for (const [x, y] of level.water || [])  solid.add(y*grid + x);
+            for (const [x, y] of level.noFood || []) noFood.add(y*grid + x);
+            for (const [[ax, ay], [bx, by]] of level.portals || []) {
+                portals.set(ay*grid + ax, {x: bx, y: by});
+                portals.set(by*grid + bx, {x: ax, y: ay});
+                noFood.add(ay*grid + ax);
+                noFood.add(by*grid + bx);
+            }
+        }
+        const spawn = level
+            ? level.spawn
+            : { x: Math.floor(grid/2), y: Math.floor(grid/2), dir: 'R' };
+        return { grid, solid, noFood, portals, spawn };
+    }
+
+    /** Head on the spawn tile, the other segments trailing behind it. */
+    function buildSnake(spawn) {
+        const d = DIRS[spawn.dir];
+        const snake = [];
+        for (let i = 0; i < START_LENGTH; i++) {
+            const x = spawn.x - d.x*i;
+            const y = spawn.y - d.y*i;
+            snake.push({x, y, px:x, py:y});
+        }
+        return snake;
+    }
+
+    /** One caterpillar plus the steering state the engine keeps for it. */
+    function createPlayer(spawn) {
+        const d = DIRS[spawn.dir];
+        return {
+            snake:     buildSnake(spawn),
+            dir:       { ...d },
+            turns:     [],        // queued turns, oldest first; one is taken per tick
+            score:     0,
+            eaten:     0,         // mushrooms eaten, whatever they scored
+            alive:     true,
+            mult:      1,         // score multiplier from eating in quick succession
+            multUntil: 0,         // ms when the multiplier drops a level (0 = no window open)
+            bestMult:  1,
+        };
+    }
+
+    const OPPOSITE = { U: 'D', D: 'U', L: 'R', R: 'L' };
+
+    /**
+     * Player two starts mirrored through the centre of the board, heading
+     * the other way. A spawn near the centre mirrors to right next to
+     * itself, so slide the mirror up/down the board until the heads are at
+     * least a third of the board apart. Custom maps needn't be symmetric;
+     * if nothing fits, take the first open row of three, bottom-up.
+     */
+    function rivalSpawn(board) {
+        const { grid, spawn } = board;
+        const taken = new Set(buildSnake(spawn).map(s => s.y*grid + s.x));
+        const fits  = sp => buildSnake(sp).every(({ x, y }) =>
+            x >= 0 && x < grid && y >= 0 && y < grid &&
+            !board.solid.has(y*grid + x) && !board.portals.has(y*grid + x) && !taken.has(y*grid + x));
+        const apart = sp => Math.abs(sp.x - spawn.x) + Math.abs(sp.y - spawn.y) >= grid / 3;
+
+        const mirror = { x: grid-1 - spawn.x, y: grid-1 - spawn.y, dir: OPPOSITE[spawn.dir] };
+        const tries  = [mirror];
+        for (let k = 1; k < grid; k++) tries.push({ ...mirror, y: mirror.y - k }, { ...mirror, y: mirror.y + k });
+        const open = tries.filter(fits);
+        if (open.length) return open.find(apart) || open[0];
+
+        for (let y = grid-1; y >= 0; y--) {
+            for (let x = 0; x < grid-2; x++) {
+                if (fits({ x, y, dir: 'L' })) return { x, y, dir: 'L' };
+            }
+        }
+        return mirror;
+    }
+
+    /**
+     * Create a fresh run.
+     * @param {object} [opts]
+     * @param {number} [opts.seed=0]    32-bit seed for every random rule
+     * @param {object} [opts.level]     validated level map, null for open board
+     * @param {string} [opts.difficulty='normal']  DIFFICULTIES id
+     * @param {string} [opts.mode='classic']        MODES id
+     * @param {string} [opts.twist]                 TWISTS id
+     * @param {string[]} [opts.powerups]            POWERUP_TYPES ids that may spawn (default all)
+     * @param {string[]} [opts.combos]              COMBOS ids that may form (default all)
+     * @param {string[]} [opts.hazards]             HAZARD_TYPES ids that may spawn (default all)
+     * @param {boolean} [opts.foodTiers=true]       mushrooms worth MUSHROOM_TIERS, golden ones too
+     * @param {boolean} [opts.multiplier=true]      quick eating multiplies the score
+     */
+    function create(opts = {}) {
+        const seed  = (opts.seed || 0) >>> 0;
+        const rng   = createRng(seed);
+        const board = compileLevel(opts.level || null);
+        const GRID  = board.grid;
+        const twist = TWISTS[opts.twist] || {};
+        const diff  = { ...(DIFFICULTIES[opts.difficulty] || DIFFICULTIES.normal), ...twist.powerups };
+        const mode  = MODES[opts.mode] || MODES.classic;
+        const pool  = (opts.powerups || POWERUP_IDS).filter(id => POWERUP_IDS.includes(id));
+        const combos = (opts.combos || COMBO_IDS).filter(id => COMBO_IDS.includes(id));
+        const hazards = (opts.hazards || HAZARD_IDS).filter(id => HAZARD_IDS.includes(id));
+        const foodTiers = opts.foodTiers !== false;
+        // Zen scores length grown, whatever the mushroom was worth
+        const lengthScore = !!mode.noDeath;
+        const multiplier = opts.multiplier !== false;
+
+        const players = [createPlayer(board.spawn)];
+        if (mode.players > 1) players.push(createPlayer(rivalSpawn(board)));
+
+        const state = {
+            seed,
+            grid:        GRID,
+            level:       opts.level || null,
+            difficulty:  diff.id,
+            mode:        mode.id,
+            twist:       twist.id || null,
+            powerups:    pool,      // ids that may spawn
+            combos,                 // combo ids that may form
+            hazards,                // hazard ids that may spawn
+            foodTiers,              // mushrooms carry MUSHROOM_TIERS values
+            multiplier,             // quick eating builds players[i].mult
+            phase:       'playing', // playing | dead | over (time up / quit)
+            tick:        0,         // ticks stepped so far
+            time:        0,         // simulated ms at the last tick
+            players,                // [{snake, dir, turns, score, alive}]
+            winner:      null,      // Versus: index of the round's survivor
+            foods:       [],        // [{x, y, px, py, mush, fadesAt?}], one unless the mode wants
+                                    // more; fadesAt marks a spore or golden one that won't regrow
+            obstacles:   [],        // Survival rocks [{x, y}], solid like hedges
+            lastObstacle: 0,
+            // Power-ups
+            powerup:        null,   // on-board: {x, y, type, spawnedAt}, type = POWERUP_TYPES index
+            activePowers:   [],     // active: [{type, expiresAt}]
+            activeCombos:   [],     // COMBOS indexes whose parts are all active
+            lastPowerSpawn: 0,
+            speedMultiplier: 1,
+            // Hazards
+            hazard:          null,  // on-board: {x, y, type, spawnedAt}, type = HAZARD_TYPES index
+            activeHazards:   [],    // active: [{type, expiresAt}]
+            lastHazardSpawn: 0,
+            lastGoldenSpawn: 0,
+        };
+
+        const listeners = {};
+        let pending = [];   // events raised during the current tick
+        let acc     = 0;    // ms accumulated towards the next tick
+
+        function on(type, fn) {
+            (listeners[type] || (listeners[type] = [])).push(fn);
+            return () => off(type, fn);
+        }
+        function off(type, fn) {
+            const list = listeners[type];
+            if (list) listeners[type] = list.filter(f => f !== fn);
+        }
+        function emit(type, data) {
+            pending.push({ ...data, type, tick: state.tick });
+        }
+        function flush() {
+            const events = pending;
+            pending = [];
+            for (const ev of events) {
+                for (const fn of listeners[ev.type] || []) fn(ev);
+            }
+            return events;
+        }
+
+        function isSolid(x, y) {
+            return board.solid.has(y*GRID + x);
+        }
+
+        /**
+         * Cells where food or a power-up may appear: not a wall, not a
+         * no-food tile, not under a caterpillar or any of `extra` ({x, y}s).
+         * Scanned row by row so the order (and so every seeded pick) is stable.
+         */
+        function freeCells(extra = []) {
+            const occ = new Set();
+            for (const p of state.players) for (const s of p.snake) occ.add(s.y*GRID + s.x);
+            for (const e of extra) occ.add(e.y*GRID + e.x);
+            const cells = [];
+            for (let y = 0; y < GRID; y++) {
+                for (let x = 0; x < GRID; x++) {
+                    const k = y*GRID + x;
+                    if (!occ.has(k) && !board.solid.has(k) && !board.noFood.has(k)) cells.push({x, y});
+                }
+            }
+            return cells;
+        }
+
+        /** Segments grown past the starting length: Zen's score. */
+        function lengthGrown(p) {
+            return Math.max(0, p.snake.length - START_LENGTH);
+        }
+
+        /** The on-board power-up and hazard, for keeping other things off them. */
+        function pickups() {
+            return [state.powerup, state.hazard].filter(Boolean);
+        }
+
+        /** (Re)grow the mushroom in slot i, away from the other mushrooms and the pick-ups. */
+        function placeFood(i) {
+            const cells = freeCells([...state.foods.filter((_, j) => j !== i), ...pickups()]);
+            if (!cells.length) { state.foods.splice(i, 1); return; }
+            const { x, y } = cells[rng.int(cells.length)];
+            state.foods[i] = { x, y, px: x, py: y, mush: foodTiers ? pickTier() : rng.int(FOOD_VARIANTS) };
+        }
+
+        /** A weighted pick of an everyday MUSHROOM_TIERS index. */
+        function pickTier() {
+            const total = MUSHROOM_TIERS.reduce((sum, t) => sum + t.weight, 0);
+            let roll = rng.next() * total;
+            for (let i = 0; i < MUSHROOM_TIERS.length; i++) {
+                roll -= MUSHROOM_TIERS[i].weight;
+                if (roll < 0) return i;
+            }
+            return 0;
+        }
+
+        /** Now and then, a golden mushroom somewhere open, for a few seconds. */
+        function trySpawnGolden() {
+            const now = state.time;
+            if (!foodTiers || mode.players > 1 || state.foods.some(f => f.mush === GOLDEN)) return;
+            if (now - state.lastGoldenSpawn < GOLDEN_SPAWN_INTERVAL) return;
+            state.lastGoldenSpawn = now;
+            if (rng.next() > GOLDEN_CHANCE) return;
+            if (state.players[0].eaten < GOLDEN_MIN_EATEN) return;
+
+            const cells = freeCells([...state.foods, ...pickups()]);
+            if (!cells.length) return;
+            const { x, y } = cells[rng.int(cells.length)];
+            state.foods.push({ x, y, px: x, py: y, mush: GOLDEN, fadesAt: now + GOLDEN_MS });
+            emit('goldenSpawned', { x, y });
+        }
+
+        // ── Survival rocks ──
+
+        function tryGrowObstacle() {
+            if (!mode.obstacleMs || state.time - state.lastObstacle < mode.obstacleMs) return;
+            state.lastObstacle = state.time;
+            if (state.obstacles.length >= GRID * GRID * MAX_OBSTACLE_SHARE) return;
+
+            const p     = state.players[0];
+            const head  = p.snake[0];
+            const extra = [...state.foods, ...pickups()];
+            const cells = freeCells(extra).filter(c =>
+                Math.abs(c.x - head.x) + Math.abs(c.y - head.y) > OBSTACLE_CLEARANCE &&
+                !board.portals.has(c.y*GRID + c.x));
+            if (!cells.length) return;
+            const { x, y } = cells[rng.int(cells.length)];
+            state.obstacles.push({ x, y });
+            board.solid.add(y*GRID + x);
+            p.score += mode.obstacleBonus;
+            emit('obstacleAdded', { x, y, score: p.score });
+        }
+
+        // ── Power-ups ──
+
+        /** Power-ups are a single-player thing: they always belong to players[0]. */
+        function hasPower(id) {
+            return state.activePowers.some(p => POWERUP_TYPES[p.type].id === id);
+        }
+
+        /** Active power-up defs, then combos, then hazards: everything whose hooks apply. */
+        function activeDefs() {
+            return [
+                ...state.activePowers.map(p => POWERUP_TYPES[p.type]),
+                ...state.activeCombos.map(c => COMBOS[c]),
+                ...state.activeHazards.map(h => HAZARD_TYPES[h.type]),
+            ];
+        }
+
+        /** Whether a toadstool has this caterpillar's turns coming out backwards. */
+        function controlsReversed(player = 0) {
+            return player === 0 && state.activeHazards.some(h => HAZARD_TYPES[h.type].reverses);
+        }
+
+        /** Whether running off the board comes back on the other side. */
+        function edgeWraps() {
+            return activeDefs().some(def => def.wraps) || !!mode.noDeath || !!twist.wrap;
+        }
+
+        /** After activePowers changes: form or break combos, then re-derive the pace. */
+        function powersChanged() {
+            const head = state.players[0].snake[0];
+            const next = [];
+            COMBOS.forEach((combo, i) => {
+                if (combos.includes(combo.id) && combo.parts.every(hasPower)) next.push(i);
+            });
+            for (const c of state.activeCombos) if (!next.includes(c)) emit('comboEnded', { combo: c });
+            for (const c of next) if (!state.activeCombos.includes(c)) emit('comboStarted', { x: head.x, y: head.y, combo: c });
+            state.activeCombos = next;
+            state.speedMultiplier = activeDefs().reduce((m, def) => m * (def.speed || 1), 1);
+        }
+
+        /** Score for one mushroom: 1, times every active points multiplier. */
+        function mushroomPoints() {
+            return activeDefs().reduce((m, def) => m * (def.points || 1), 1);
+        }
+
+        /**
+         * Let the active powers answer a fatal hit. A 'pass' from any of
+         * them wins; otherwise the first to 'absorb' it is used up.
+         * @returns {'pass'|'absorb'|null}
+         */
+        function powerCollide(cause, x, y) {
+            const answers = activeDefs().map(def => (def.collide ? def.collide(cause) : null));
+            if (answers.includes('pass')) return 'pass';
+            const i = answers.indexOf('absorb');
+            if (i === -1) return null;
+            const [pw] = state.activePowers.splice(i, 1);
+            powersChanged();
+            emit('absorbed', { x, y, powerup: pw.type, cause });
+            return 'absorb';
+        }
+
+        /** What power-up hooks may do to the run. */
+        const powerApi = {
+            state, rng, emit,
+
+            /** Whether a mushroom could sit on a tile right now. */
+            canHoldFood(x, y) {
+                if (x < 0 || x >= GRID || y < 0 || y >= GRID) return false;
+                const k = y*GRID + x;
+                if (board.solid.has(k) || board.noFood.has(k)) return false;
+                if (pickups().some(pu => pu.x === x && pu.y === y)) return false;
+                if (state.foods.some(f => f.x === x && f.y === y)) return false;
+                return !state.players.some(p => p.snake.some(s => s.x === x && s.y === y));
+            },
+
+            /** Drop up to n tail segments, keeping MIN_LENGTH. In Zen that costs points. */
+            shrink(n) {
+                const p = state.players[0];
+                const count = Math.min(n, p.snake.length - MIN_LENGTH);
+                if (count <= 0) return;
+                const cut = p.snake.splice(p.snake.length - count);
+                if (lengthScore) p.score = lengthGrown(p);
+                emit('shrunk', { x: cut[cut.length - 1].x, y: cut[cut.length - 1].y, count, score: p.score });
+            },
+        };
+
+        function trySpawnPowerup() {
+            const now = state.time;
+            if (mode.players > 1 || state.powerup || !pool.length) return;
+            if (now - state.lastPowerSpawn < POWERUP_SPAWN_INTERVAL) return;
+            state.lastPowerSpawn = now;
+            if (rng.next() > diff.powerupChance) return;
+            if (state.players[0].eaten < diff.powerupMinEaten) return;
+
+            const cells = freeCells(state.hazard ? [...state.foods, state.hazard] : state.foods);
+            if (!cells.length) return;
+            const { x, y } = cells[rng.int(cells.length)];
+            const type = POWERUP_IDS.indexOf(pool[rng.int(pool.length)]);
+            state.powerup = { x, y, type, spawnedAt: now };
+            emit('powerupSpawned', { x, y, powerup: type });
+        }
+
+        function updatePowerup() {
+            const pu = state.powerup;
+            if (pu && state.time - pu.spawnedAt > POWERUP_DESPAWN_MS) {
+                state.powerup = null;
+                emit('powerupDespawned', { x: pu.x, y: pu.y, powerup: pu.type });
+            }
+        }
+
+        /** Expire what's run out, then run every remaining power's tick hook. */
+        function updateActivePowers() {
+            let changed = false;
+            for (let i = state.activePowers.length - 1; i >= 0; i--) {
+                const pw = state.activePowers[i];
+                if (state.time >= pw.expiresAt) {
+                    state.activePowers.splice(i, 1);
+                    emit('powerupExpired', { powerup: pw.type });
+                    changed = true;
+                }
+            }
+            if (changed) powersChanged();
+            for (const def of activeDefs()) if (def.tick) def.tick(powerApi);
+        }
+
+        // ── Score multiplier ──
+
+        /** Eating now: raise the multiplier if the window is still open, then reopen it. */
+        function bumpMultiplier(p, i) {
+            if (!multiplier || lengthScore) return;
+            if (state.time <= p.multUntil && p.mult < MAX_MULTIPLIER) {
+                p.mult++;
+                p.bestMult = Math.max(p.bestMult, p.mult);
+                emit('multUp', { x: p.snake[0].x, y: p.snake[0].y, mult: p.mult, player: i });
+            }
+            p.multUntil = state.time + MULT_WINDOW_MS;
+        }
+
+        /** A window gone by without eating drops the multiplier a level. */
+        function updateMultipliers() {
+            state.players.forEach((p, i) => {
+                if (!p.multUntil || state.time <= p.multUntil) return;
+                if (p.mult > 1) {
+                    p.mult--;
+                    p.multUntil = state.time + MULT_WINDOW_MS;
+                    emit('multDown', { mult: p.mult, player: i });
+                } else {
+                    p.multUntil = 0;
+                }
+            });
+        }
+
+        // ── Hazards ──
+
+        function trySpawnHazard() {
+            const now = state.time;
+            if (mode.players > 1 || state.hazard || !hazards.length) return;
+            if (now - state.lastHazardSpawn < HAZARD_SPAWN_INTERVAL) return;
+            state.lastHazardSpawn = now;
+            if (rng.next() > diff.hazardChance) return;
+            if (state.players[0].eaten < diff.hazardMinEaten) return;
+
+            const cells = freeCells([...state.foods, ...pickups()]);
+            if (!cells.length) return;
+            const { x, y } = cells[rng.int(cells.length)];
+            const type = HAZARD_IDS.indexOf(hazards[rng.int(hazards.length)]);
+            state.hazard = { x, y, type, spawnedAt: now };
+            emit('hazardSpawned', { x, y, hazard: type });
+        }
+
+        /** Wilt the on-board hazard, and wear off active ones. */
+        function updateHazards() {
+            const hz = state.hazard;
+            if (hz && state.time - hz.spawnedAt > HAZARD_DESPAWN_MS) {
+                state.hazard = null;
+                emit('hazardDespawned', { x: hz.x, y: hz.y, hazard: hz.type });
+            }
+            let changed = false;
+            for (let i = state.activeHazards.length - 1; i >= 0; i--) {
+                const h = state.activeHazards[i];
+                if (state.time >= h.expiresAt) {
+                    state.activeHazards.splice(i, 1);
+                    emit('hazardExpired', { hazard: h.type });
+                    changed = true;
+                }
+            }
+            if (changed) powersChanged();
+        }
+
+        function eatHazard() {
+            const hz  = state.hazard;
+            const def = HAZARD_TYPES[hz.type];
+            if (def.duration) {
+                const existing = state.activeHazards.find(h => h.type === hz.type);
+                if (existing) existing.expiresAt = state.time + def.duration;
+                else state.activeHazards.push({ type: hz.type, expiresAt: state.time + def.duration });
+            }
+            state.hazard = null;
+            emit('hazardEaten', { x: hz.x, y: hz.y, hazard: hz.type });
+            powersChanged();
+            if (def.collect) def.collect(powerApi);
+        }
+
+        /** Spores and golden mushrooms that have had their time wither away. */
+        function updateFading() {
+            state.foods = state.foods.filter(f => {
+                if (!f.fadesAt || state.time < f.fadesAt) return true;
+                emit('foodWithered', { x: f.x, y: f.y, mush: f.mush });
+                return false;
+            });
+        }
+
+        function collectPowerup() {
+            const pu  = state.powerup;
+            const def = POWERUP_TYPES[pu.type];
+
+            // Refresh timer if same type already active, else add
+            if (def.duration) {
+                const existing = state.activePowers.find(p => p.type === pu.type);
+                if (existing) {
+                    existing.expiresAt = state.time + def.duration;
+                } else {
+                    state.activePowers.push({ type: pu.type, expiresAt: state.time + def.duration });
+                }
+            }
+
+            state.powerup = null;
+            emit('powerupCollected', { x: pu.x, y: pu.y, powerup: pu.type });
+            powersChanged();
+            if (def.collect) def.collect(powerApi);
+        }
+
+        // ── Movement ──
+
+        /** Stop the run: phase 'dead' + died, or 'over' + ended. */
+        function finish(phase, type, cause, extra = {}) {
+            const p    = state.players[0];
+            const head = p.snake[0];
+            state.phase           = phase;
+            clearTurns();
+            state.activePowers    = [];
+            state.activeCombos    = [];
+            state.activeHazards   = [];
+            state.speedMultiplier = 1;
+            state.powerup         = null;
+            state.hazard          = null;
+            emit(type, { x: head.x, y: head.y, cause, score: p.score, ...extra });
+        }
+
+        function die(cause) { finish('dead', 'died', cause, { player: 0 }); }
+
+        /**
+         * Where a head goes this tick after walls, hedges and portals.
+         * @returns {{x, y}|{cause: string}|null}  null = Zen bump, stay put
+         */
+        function aim(p) {
+            const mine = p === state.players[0];   // power-ups are player one's
+            let nhx = p.snake[0].x + p.dir.x;
+            let nhy = p.snake[0].y + p.dir.y;
+            let wrapped = false;
+
+            // Collision: walls (wrap if powered, always in Zen). A power
+            // that absorbs the hit leaves the caterpillar where it is.
+            if (nhx < 0 || nhx >= GRID || nhy < 0 || nhy >= GRID) {
+                if (edgeWraps()) {
+                    nhx = ((nhx % GRID) + GRID) % GRID;
+                    nhy = ((nhy % GRID) + GRID) % GRID;
+                    wrapped = true;
+                } else {
+                    const { x, y } = p.snake[0];
+                    return mine && powerCollide('edge', x, y) === 'absorb' ? null : { cause: 'wall' };
+                }
+            }
+
+            // Collision: hedges, water and rocks (wrap only bends the outer
+            // edge). Zen just waits at the hedge for a new direction.
+            if (isSolid(nhx, nhy)) {
+                if (mode.noDeath) { emit('bumped', { x: nhx, y: nhy }); return null; }
+                const power = mine ? powerCollide('wall', nhx, nhy) : null;
+                if (power === 'absorb') return null;
+                if (power !== 'pass') return { cause: 'wall' };
+            }
+            if (wrapped) emit('wrapped', { x: nhx, y: nhy });
+
+            // Portals: step onto one end, come out on the other
+            const exit = board.portals.get(nhy*GRID + nhx);
+            if (exit) {
+                emit('teleported', { fromX: nhx, fromY: nhy, x: exit.x, y: exit.y });
+                return { x: exit.x, y: exit.y };
+            }
+            return { x: nhx, y: nhy };
+        }
+
+        /**
+         * Whose body covers a tile. Every caterpillar's last tail segment
+         * moves off this tick (it cascades), so it never counts.
+         */
+        function bodyAt(x, y) {
+            for (let owner = 0; owner < state.players.length; owner++) {
+                const { snake } = state.players[owner];
+                for (let index = 0; index < snake.length - 1; index++) {
+                    if (snake[index].x === x && snake[index].y === y) return { owner, index };
+                }
+            }
+            return null;
+        }
+
+        /** Meeting on one tile, or swapping tiles, is a head-on crash. */
+        function headOn(targets, deaths) {
+            const { players } = state;
+            for (let i = 0; i < players.length; i++) {
+                for (let j = i + 1; j < players.length; j++) {
+                    const a = targets[i], b = targets[j];
+                    if (!a || !b || a.cause || b.cause) continue;
+                    const ha = players[i].snake[0], hb = players[j].snake[0];
+                    const same = a.x === b.x && a.y === b.y;
+                    const swap = a.x === hb.x && a.y === hb.y && b.x === ha.x && b.y === ha.y;
+                    if (same || swap) deaths[i] = deaths[j] = 'head';
+                }
+            }
+        }
+
+        /**
+         * Smooth trick: instead of unshift+pop, we CASCADE positions backward.
+         * Each segment takes the previous position of the segment ahead of it.
+         * This gives every segment a correct (px→x) pair to interpolate over.
+         */
+        function advance(p, i, { x: nhx, y: nhy }) {
+            const { snake } = p;
+
+            // 5. Check food before cascading
+            const eaten = state.foods.findIndex(f => f.x === nhx && f.y === nhy);
+
+            // 6. CASCADE: each segment takes position of the one before it
+            for (let k = snake.length-1; k > 0; k--) {
+                snake[k].x = snake[k-1].x;
+                snake[k].y = snake[k-1].y;
+            }
+            snake[0].x = nhx;
+            snake[0].y = nhy;
+
+            // Fix interpolation for wall wrap and portals (prevent lerp
+            // streaks across the board) — body segments follow the head
+            // through the jump a tick later, so check every segment
+            for (const s of snake) {
+                if (Math.abs(s.x - s.px) > 1 || Math.abs(s.y - s.py) > 1) { s.px = s.x; s.py = s.y; }
+            }
+
+            // 7. Eat food → grow + score
+            if (eaten !== -1) {
+                const food   = state.foods[eaten];
+                const tier   = foodTiers ? MUSHROOM_TIERS[food.mush] : FLAT_TIER;
+                bumpMultiplier(p, i);
+                // Grow: duplicate tail segment with same prev so it appears in place
+                const tail = snake[snake.length-1];
+                for (let g = 0; g < tier.grow; g++) snake.push({ x:tail.x, y:tail.y, px:tail.px, py:tail.py });
+                const before = p.score;
+                p.score = lengthScore ? lengthGrown(p) : before + tier.points * (i === 0 ? mushroomPoints() : 1) * p.mult;
+                const points = p.score - before;
+                p.eaten++;
+                emit('ate', { x: food.x, y: food.y, mush: food.mush, points, grow: tier.grow, score: p.score, mult: p.mult, player: i });
+                if (food.fadesAt) state.foods.splice(eaten, 1);
+                else placeFood(eaten);
+            }
+
+            // 8. Check power-up collection
+            if (i === 0 && state.powerup && snake[0].x === state.powerup.x && snake[0].y === state.powerup.y) {
+                collectPowerup();
+            }
+
+            // 9. …or a hazard
+            if (i === 0 && state.hazard && snake[0].x === state.hazard.x && snake[0].y === state.hazard.y) {
+                eatHazard();
+            }
+        }
+
+        /** Discrete movement step for every caterpillar at once. */
+        function move() {
+            const { players } = state;
+
+            // 1–3. Take the next queued turn, save positions as "previous" BEFORE moving, then aim
+            const targets = players.map(p => {
+                if (p.turns.length) p.dir = p.turns.shift();
+                for (const s of p.snake) { s.px = s.x; s.py = s.y; }
+                return aim(p);
+            });
+            const deaths = targets.map(t => (t && t.cause) || null);
+            headOn(targets, deaths);
+
+            // 4. Collision: bodies (powers may pass through or absorb the
+            //    hit). Zen bites the tail off from the segment that was hit.
+            targets.forEach((t, i) => {
+                if (!t || deaths[i]) return;
+                const hit = bodyAt(t.x, t.y);
+                if (!hit) return;
+                const power = i === 0 ? powerCollide('body', t.x, t.y) : null;
+                if (power === 'pass')   { emit('phased', { x: t.x, y: t.y, player: i }); return; }
+                if (power === 'absorb') { targets[i] = null; return; }
+                if (hit.owner !== i) { deaths[i] = 'rival'; return; }
+                if (!mode.noDeath)   { deaths[i] = 'self';  return; }
+                const p     = players[i];
+                const count = p.snake.length - hit.index;
+                p.snake.splice(hit.index);
+                p.score = lengthScore ? lengthGrown(p) : Math.max(0, p.score - count);
+                emit('trimmed', { x: t.x, y: t.y, count, score: p.score });
+            });
+
+            // 5–8. Everyone still standing moves, eats and collects
+            targets.forEach((t, i) => {
+                if (t && !deaths[i]) advance(players[i], i, t);
+            });
+
+            if (!deaths.some(Boolean)) return;
+            if (players.length === 1) { die(deaths[0]); return; }
+
+            // Versus: report each crash, then end the round
+            deaths.forEach((cause, i) => {
+                if (!cause) return;
+                const p = players[i];
+                p.alive = false;
+                emit('died', { x: p.snake[0].x, y: p.snake[0].y, cause, score: p.score, player: i });
+            });
+            const standing = players.filter(p => p.alive);
+            state.winner = standing.length === 1 ? players.indexOf(standing[0]) : null;
+            finish('over', 'ended', 'round', { winner: state.winner });
+        }
+
+        // ── Public API ──
+
+        /** Duration of the next tick in simulated ms: difficulty ramp × power-ups. */
+        function stepMs() {
+            const top  = Math.max(...state.players.map(p => p.eaten));
+            const base = Math.max(diff.minMoveMs, diff.moveMs - diff.rampMs * top);
+            return base * state.speedMultiplier * (twist.speed || 1);
+        }
+
+        /**
+         * Advance exactly one tick: clock, power-up lifecycle, then movement.
+         * @returns {object[]} events raised by this tick
+         */
+        function step() {
+            if (state.phase !== 'playing') return [];
+            state.time += stepMs();
+            state.tick++;
+            for (const f of state.foods) { f.px = f.x; f.py = f.y; }   // where a drifting mushroom was
+            trySpawnPowerup();
+            updatePowerup();
+            updateFading();
+            updateMultipliers();
+            trySpawnGolden();
+            trySpawnHazard();
+            updateHazards();
+            updateActivePowers();
+            tryGrowObstacle();
+            move();
+            if (mode.timeLimit && state.phase === 'playing' && state.time >= mode.timeLimit) {
+                finish('over', 'ended', 'time');
+            }
+            return flush();
+        }
+
+        /** End the run by choice (Zen sessions). @returns {object[]} events */
+        function quit() {
+            if (state.phase !== 'playing') return [];
+            finish('over', 'ended', 'quit');
+            return flush();
+        }
+
+        /** Simulated ms left on the clock, or null when the mode is untimed. */
+        function timeLeft() {
+            return mode.timeLimit ? Math.max(0, mode.timeLimit - clock()) : null;
+        }
+
+        /**
+         * Feed real elapsed time. Ticks at most once per call and drops the
+         * remainder, so a long stall (background tab) never fast-forwards.
+         * @returns {object[]} events raised, empty if no tick was due
+         */
+        function update(dt) {
+            if (state.phase !== 'playing') return [];
+            acc += dt;
+            if (acc < stepMs()) return [];
+            acc = 0;
+            return step();
+        }
+
+        /**
+         * Steer. Turns queue up (at most MAX_TURNS) and are taken one per
+         * tick, so two quick presses inside one step both count. The
+         * reversal guard checks each turn against the direction the turn
+         * before it will leave the caterpillar in; repeating that direction
+         * is a no-op.
+         * @param {object} nd        direction {x, y}
+         * @param {number} [player]  players index, 1 for Versus player two
+         * @returns {boolean} whether the turn was queued
+         */
+        function input(nd, player = 0) {
+            const p = state.players[player];
+            if (state.phase !== 'playing' || !p || p.turns.length >= MAX_TURNS) return false;
+            if (controlsReversed(player)) nd = { x: -nd.x || 0, y: -nd.y || 0 };
+            const last = p.turns.length ? p.turns[p.turns.length - 1] : p.dir;
+            if (nd.x === last.x && nd.y === last.y) return false;
+            if (nd.x !== 0 && nd.x === -last.x) return false;
+            if (nd.y !== 0 && nd.y === -last.y) return false;
+            p.turns.push({ x: nd.x, y: nd.y });
+            return true;
+        }
+
+        /** Drop every queued turn (the host does this on pause). */
+        function clearTurns() {
+            for (const p of state.players) p.turns = [];
+        }
+
+        /** 0→1 fraction of the way to the next tick, for interpolation. */
+        function progress() {
+            return state.phase === 'playing' ? Math.min(1, acc / stepMs()) : 1;
+        }
+
+        /** Simulated time including the partial tick, for smooth timers. */
+        function clock() {
+            return state.time + (state.phase === 'playing' ? acc : 0);
+        }
+
+        for (let i = 0; i < (twist.foodCount || mode.foodCount || 1); i++) placeFood(i);
+
+        return { state, on, off, step, update, input, clearTurns, quit, progress, clock, timeLeft, stepMs, hasPower, edgeWraps, isSolid, controlsReversed };
+    }
+
+    return {
+        create, createRng,
+        GRID, MOVE_MS, DIRS, DIFFICULTIES, DIFFICULTY_ORDER, MODES, MODE_ORDER, TWISTS, TWIST_ORDER,
+        POWERUP_TYPES, POWERUP_IDS, POWERUP_DESPAWN_MS, COMBOS, COMBO_IDS,
+        HAZARD_TYPES, HAZARD_IDS, HAZARD_DESPAWN_MS, MUSHROOM_TIERS, GOLDEN_MS,
+        MULT_WINDOW_MS, MAX_MULTIPLIER,
+    };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyEngine = DreamyEngine;
+if (typeof module !== 'undefined' && module.exports) module.exports = DreamyEngine;
@@ -10,17 +10,29 @@
  * Performance: shadowBlur is used sparingly (only for food glow and
  * the single head glow). Body segments use layered transparent circles
  * for the fuzzy halo instead of the GPU-heavy blur filter.
+ *
+ * Rules live in engine.js (DreamyEngine); this file owns one engine per
+ * run, feeds it time and key presses, and draws whatever it reports.
  */
 
 'use strict';
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 
-const GRID     = 20;           // cells per row/col
-const CELL     = 25;           // px per cell → canvas 500×500
-const SIZE     = GRID * CELL;  // 500
-const MOVE_MS  = 140;          // ms per snake step (lower = faster)
+const { GRID, DIRS, DIFFICULTIES, DIFFICULTY_ORDER, MODES, MODE_ORDER, TWISTS, POWERUP_TYPES, POWERUP_DESPAWN_MS, COMBOS, HAZARD_TYPES, HAZARD_DESPAWN_MS, MUSHROOM_TIERS, GOLDEN_MS, MULT_WINDOW_MS } = DreamyEngine;
+
+const BASE_SIZE = 500;               // board px the art was tuned for…
+const BASE_CELL = BASE_SIZE / GRID;  // …so fixed sizes assume a 25px cell
+const MIN_SIZE  = 280;               // board px limits when fitting the window
+const MAX_SIZE  = 960;
+const PAGE_CHROME = 170;             // header, footer, replay bar + gaps around the board
+const GRID_SIZES  = [15, 20, 30, 40]; // Open Garden sizes offered in the popup
+
+let   SIZE     = BASE_SIZE;    // board px (CSS), follows the viewport
+let   DPR      = 1;            // backing-store px per CSS px
+let   CELL     = SIZE / GRID;  // px per cell, follows the level's grid
 const MAX_PART = 50;           // cap on canvas particles
+const TOAST_FRAMES = 200;      // how long an achievement toast stays up (~3.3s at 60fps)
 
 /** Segment colours cycle head→tail */
 const SEG_COLS = [
@@ -34,51 +46,277 @@ const SEG_COLS = [
     '#fbcfe8', // light pink
 ];
 
-/** Mushroom variants [cap, underside, stem, spotColour, glowColour] */
+/** Versus: player two's caterpillar, in warm sunshine colours */
+const SEG_COLS_P2 = [
+    '#fbbf24', // amber         (head)
+    '#fde68a', // butter
+    '#fdba74', // apricot
+    '#fef08a', // lemon
+    '#fb923c', // tangerine
+    '#fed7aa', // peach
+    '#facc15', // sunflower
+    '#fef3c7', // cream
+];
+
+/** One palette and name per player, indexed like engine state.players */
+const PLAYER_COLS  = [SEG_COLS, SEG_COLS_P2];
+const PLAYER_NAMES = ['🟣 Player One', '🟡 Player Two'];
+const ROUND_CHOICES = [1, 3, 5, 7];   // Versus matches are best-of-N rounds
+
+/**
+ * Mushroom variants [cap, underside, stem, spotColour, glowColour], in the
+ * order of MUSHROOM_TIERS in engine.js, which says what each is worth.
+ */
 const MUSHROOMS = [
     { cap:'#e84040', under:'#b52f2f', stem:'#f5ead7', spot:'#ffffff', glow:'#ff8080' }, // red
     { cap:'#9333ea', under:'#6b21a8', stem:'#ede9fe', spot:'#f3e8ff', glow:'#c084fc' }, // purple
     { cap:'#2563eb', under:'#1d4ed8', stem:'#eff6ff', spot:'#dbeafe', glow:'#7dd3fc' }, // blue
     { cap:'#ea580c', under:'#c2410c', stem:'#fff7ed', spot:'#ffedd5', glow:'#fdba74' }, // orange
     { cap:'#16a34a', under:'#15803d', stem:'#f0fdf4', spot:'#dcfce7', glow:'#86efac' }, // green
+    { cap:'#facc15', under:'#ca8a04', stem:'#fef9c3', spot:'#fffbeb', glow:'#fde047' }, // golden
 ];
+const GOLDEN_COL = '#facc15';
+
+/** Score multiplier colours, ×1 up: warmer the higher it goes. */
+const MULT_COLS = ['#f9a8d4', '#c084fc', '#7dd3fc', '#34d399', '#facc15', '#fb923c', '#f87171', '#ffffff'];
+
+/**
+ * Hazard mushrooms, by HAZARD_TYPES id (the engine holds the rules). Told
+ * apart from food by shape as well as colour: a jagged cap, a dashed
+ * warning ring and a pattern of their own
+ *   stripes  toadstool   diagonal bands
+ *   zzz      sleepy      little z's
+ *   cross    poison      crossbones
+ */
+const HAZARD_MUSHROOMS = {
+    toadstool: { cap:'#a3e635', under:'#4d7c0f', stem:'#fef9c3', mark:'#365314', glow:'#d9f99d', pattern:'stripes' },
+    sleepy:    { cap:'#6366f1', under:'#3730a3', stem:'#e0e7ff', mark:'#e0e7ff', glow:'#a5b4fc', pattern:'zzz' },
+    poison:    { cap:'#27272a', under:'#18181b', stem:'#d9f99d', mark:'#a3e635', glow:'#84cc16', pattern:'cross' },
+};
 
 const SPARK_COLS = ['#f9a8d4','#c084fc','#86efac','#7dd3fc','#fbcfe8','#ffffff'];
 
-// ─── Power-Up Definitions ───────────────────────────────────────────────────
+const GHOST_ALPHA = 0.55;      // see-through look shared by ghost power-up + racer
+
+/** Start-screen line for each mode (see MODES in engine.js for the rules). */
+const MODE_BLURBS = {
+    classic:  'Guide your fuzzy caterpillar and eat the mushrooms!',
+    zen:      'No walls, no worries — the garden wraps around and nibbling your tail just trims it. End the session from pause.',
+    time60:   'Eat as many mushrooms as you can in 60 seconds!',
+    time120:  'Eat as many mushrooms as you can in 120 seconds!',
+    survival: 'Three mushrooms at a time, and rocks keep growing. Every rock you outlast is a point!',
+    versus:   'Two caterpillars, one garden! Player one steers with {move1}, player two with {move2}. Last one wriggling takes the round.',
+    daily:    'Everyone plays the same garden today, with a twist. Your first run of the day is the one that counts — after that, practise all you like.',
+};
 
-const POWERUP_TYPES = [
-    { id: 'speed', label: 'SPEED', icon: '⚡', duration: 6000, color: '#facc15', glow: '#fde68a' },
-    { id: 'ghost', label: 'GHOST', icon: '👻', duration: 7000, color: '#a78bfa', glow: '#c4b5fd' },
-    { id: 'wrap',  label: 'WRAP',  icon: '🌀', duration: 8000, color: '#34d399', glow: '#6ee7b7' },
-];
+// ─── Power-Up Visuals ───────────────────────────────────────────────────────
 
-const POWERUP_SPAWN_INTERVAL = 8000;   // ms between spawn attempts
-const POWERUP_SPAWN_CHANCE   = 0.6;    // 60% chance each attempt
-const POWERUP_DESPAWN_MS     = 10000;  // disappear after 10s if uneaten
-const SPEED_MULTIPLIER       = 0.6;    // 60% of MOVE_MS when speed-boosted
 const POWERUP_RAINBOW = ['#f9a8d4','#c084fc','#facc15','#34d399','#7dd3fc','#fb923c'];
 
+/**
+ * How each power-up looks on the caterpillar, by POWERUP_TYPES id (the
+ * engine's registry holds the rules). All optional:
+ *   alpha       opacity multiplier for the whole caterpillar
+ *   under(pos)  drawn before the body, pos = [x, y] pixel centres, head first
+ *   over(pos, eng)  drawn on top of it
+ */
+const POWERUP_LOOKS = {
+    // Golden afterimage halo
+    speed: {
+        under(pos) {
+            for (let i = pos.length - 1; i >= 0; i--) {
+                const r = i === 0 ? CELL * 0.48 : CELL * 0.42;
+                ctx.beginPath();
+                ctx.arc(pos[i][0], pos[i][1], r + px(4), 0, Math.PI * 2);
+                ctx.fillStyle = rgba('#facc15', 0.2 * 0.15);
+                ctx.fill();
+            }
+        },
+    },
+    ghost: { alpha: GHOST_ALPHA },
+    // Green pulsing ring on each segment
+    wrap: {
+        over(pos) {
+            const ringAlpha = 0.25 + 0.15 * Math.sin(gs.frame * 0.1);
+            for (let i = 0; i < pos.length; i++) {
+                const r = i === 0 ? CELL * 0.48 : CELL * 0.42;
+                ctx.beginPath();
+                ctx.arc(pos[i][0], pos[i][1], r + px(3), 0, Math.PI * 2);
+                ctx.strokeStyle = rgba('#34d399', ringAlpha);
+                ctx.lineWidth = px(1.5);
+                ctx.stroke();
+            }
+        },
+    },
+    // Slow ripples spreading from the head
+    slowmo: {
+        over(pos) {
+            for (let k = 0; k < 2; k++) {
+                const t = ((gs.frame + k * 45) % 90) / 90;
+                ctx.beginPath();
+                ctx.arc(pos[0][0], pos[0][1], CELL * (0.5 + t), 0, Math.PI * 2);
+                ctx.strokeStyle = rgba('#7dd3fc', 0.45 * (1 - t));
+                ctx.lineWidth = px(2);
+                ctx.stroke();
+            }
+        },
+    },
+    // A dotted pull line to every mushroom in reach
+    magnet: {
+        over(pos, eng) {
+            const range = POWERUP_TYPES.find(t => t.id === 'magnet').range;
+            const head  = eng.state.players[0].snake[0];
+            ctx.save();
+            ctx.setLineDash([px(3), px(4)]);
+            ctx.lineDashOffset = -gs.frame * 0.5;
+            ctx.strokeStyle = rgba('#f87171', 0.55);
+            ctx.lineWidth = px(1.5);
+            for (const f of eng.state.foods) {
+                if (Math.abs(f.x - head.x) + Math.abs(f.y - head.y) > range) continue;
+                const [fx, fy] = cellCenter(f.x, f.y);
+                ctx.beginPath();
+                ctx.moveTo(pos[0][0], pos[0][1]);
+                ctx.lineTo(fx, fy);
+                ctx.stroke();
+            }
+            ctx.restore();
+        },
+    },
+    // Two pink sparks circling the head
+    double: {
+        over(pos) {
+            for (let k = 0; k < 2; k++) {
+                const a = gs.frame * 0.12 + k * Math.PI;
+                ctx.beginPath();
+                ctx.arc(pos[0][0] + Math.cos(a) * CELL * 0.62, pos[0][1] + Math.sin(a) * CELL * 0.62, px(2.5), 0, Math.PI * 2);
+                ctx.fillStyle = rgba('#f472b6', 0.9);
+                ctx.fill();
+            }
+        },
+    },
+    // A bubble round the head
+    shield: {
+        over(pos) {
+            const r = CELL * (0.72 + 0.04 * Math.sin(gs.frame * 0.15));
+            ctx.beginPath();
+            ctx.arc(pos[0][0], pos[0][1], r, 0, Math.PI * 2);
+            ctx.fillStyle = rgba('#bfdbfe', 0.18);
+            ctx.fill();
+            ctx.strokeStyle = rgba('#60a5fa', 0.75);
+            ctx.lineWidth = px(2);
+            ctx.stroke();
+        },
+    },
+};
+
+const SPORE_BLINK_MS = 1500;   // a spore mushroom blinks this long before it withers
+
+/**
+ * Combo looks, by COMBOS id, drawn on top of their parts' own looks; same
+ * shape as POWERUP_LOOKS.
+ */
+const COMBO_LOOKS = {
+    // A mist of ghost-violet and wrap-mint wisps drifting off the body
+    phantom: {
+        under(pos) {
+            for (let i = 0; i < pos.length; i++) {
+                const t  = gs.frame * 0.05 + i * 0.9;
+                const r  = CELL * (0.55 + 0.15 * Math.sin(t));
+                const wx = pos[i][0] + Math.cos(t) * CELL * 0.25;
+                const wy = pos[i][1] + Math.sin(t * 1.3) * CELL * 0.25;
+                const g  = ctx.createRadialGradient(wx, wy, 0, wx, wy, r);
+                g.addColorStop(0, rgba(i % 2 ? '#a7f3d0' : '#c4b5fd', 0.35 * (1 - i / (pos.length + 2))));
+                g.addColorStop(1, rgba(i % 2 ? '#a7f3d0' : '#c4b5fd', 0));
+                ctx.fillStyle = g;
+                ctx.beginPath();
+                ctx.arc(wx, wy, r, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        },
+    },
+    // Golden spores puffing up from the tail
+    spores: {
+        over(pos) {
+            const [tx, ty] = pos[pos.length - 1];
+            for (let k = 0; k < 6; k++) {
+                const t = ((gs.frame + k * 15) % 90) / 90;
+                ctx.beginPath();
+                ctx.arc(tx + Math.sin(k * 2.1 + t * 3) * CELL * 0.4, ty - t * CELL, px(1.5 + (k % 2)), 0, Math.PI * 2);
+                ctx.fillStyle = rgba('#fde68a', 0.8 * (1 - t));
+                ctx.fill();
+            }
+        },
+    },
+};
+
+/** Hazard looks, by HAZARD_TYPES id; same shape as POWERUP_LOOKS. */
+const HAZARD_LOOKS = {
+    // Dizzy stars spinning round the head
+    toadstool: {
+        over(pos) {
+            ctx.font = `${px(9)}px system-ui`;
+            ctx.textAlign = 'center';
+            for (let k = 0; k < 3; k++) {
+                const a = -gs.frame * 0.1 + k * (Math.PI * 2 / 3);
+                ctx.fillStyle = rgba('#d9f99d', 0.9);
+                ctx.fillText('✦', pos[0][0] + Math.cos(a) * CELL * 0.6, pos[0][1] - CELL * 0.5 + Math.sin(a) * CELL * 0.2);
+            }
+        },
+    },
+    // Z's drifting up from the head
+    sleepy: {
+        alpha: 0.85,
+        over(pos) {
+            ctx.textAlign = 'center';
+            for (let k = 0; k < 3; k++) {
+                const t = ((gs.frame + k * 30) % 90) / 90;
+                ctx.font = `bold ${px(7 + t * 6)}px system-ui`;
+                ctx.fillStyle = rgba('#c7d2fe', 1 - t);
+                ctx.fillText('z', pos[0][0] + t * CELL * 0.6, pos[0][1] - CELL * 0.4 - t * CELL);
+            }
+        },
+    },
+};
+
 // ─── State ──────────────────────────────────────────────────────────────────
 
+/** Render/UI state. Board state lives in gs.engine.state. */
 const gs = {
-    phase:       'idle',  // idle | playing | paused | dead
-    snake:       [],      // [{x,y,px,py}, …] head-first
-    dir:         {x:1,y:0},
-    nextDir:     {x:1,y:0},
-    food:        {x:0,y:0,mush:0},
-    score:       0,
+    phase:       'idle',  // idle | playing | paused | dead (run over) | replay
+    engine:      null,    // DreamyEngine instance for the current run
+    recorder:    null,    // DreamyReplay recorder for the live run
+    lastReplay:  null,    // replay of the most recent finished run
+    player:      null,    // DreamyReplay player while watching a replay
+    ghostReplay: null,    // replay of the personal-best run, raced as a ghost
+    ghost:       null,    // DreamyReplay player driving the ghost this run
+    runBest:     0,       // best score when the current run started
+    level:       null,    // chosen level map (see levels.js)
+    difficulty:  'normal', // DIFFICULTIES id
+    mode:        'classic', // MODES id; best + ghost are kept per mode + difficulty
+    gridSize:    GRID,    // Open Garden size from the popup settings
+    bestOf:      3,       // Versus rounds per match (ROUND_CHOICES)
+    match:       null,    // Versus tally { bestOf, round, wins: [p1, p2], done }
+    demo:        null,    // engine the autopilot plays behind the start screen
+    autopilot:   false,   // AI steers player one (player two in Versus); O toggles
+    assisted:    false,   // the autopilot drove part of this run: no best, no ghost
+    bindings:    DreamyBindings.DEFAULTS, // action → key, see bindings.js
+    customLevels: [],     // levels saved from the editor (chrome.storage.local)
+    draftLevel:  null,    // unsaved editor level opened via "Test play"
+    boardLevel:  undefined, // level the cached wall layer was drawn for
+    wallLayer:   null,    // offscreen canvas with hedges + ponds
     best:        0,
+    bests:       {},      // bucket → best score, see history.js
+    runPowerups: [],      // power-up ids collected this run, for the run history
+    runMushrooms: {},     // MUSHROOM_TIERS id → how many eaten this run, ditto
+    achievements: null,   // DreamyAchievements tracker, see achievements.js
+    daily:       { scores: {}, bestStreak: 0 }, // Daily Garden record, see daily.js
+    dailyRun:    null,    // day of the scored Daily Garden attempt in progress
+    toasts:      [],      // achievement unlocks waiting to show, first one on screen
     frame:       0,
-    lastTick:    0,
+    lastFrame:   0,       // rAF timestamp of the previous frame
+    warnSecond:  0,       // despawn-warning second last chimed for the power-up
     particles:   [],
     floatTexts:  [],
-    dirLocked:   false,
-    // Power-ups
-    powerup:        null,   // on-board: {x, y, type, spawnedAt}
-    activePowers:   [],     // active: [{type, expiresAt}]
-    lastPowerSpawn: 0,
-    speedMultiplier: 1,
 };
 
 // ─── DOM ────────────────────────────────────────────────────────────────────
@@ -87,11 +325,39 @@ const canvas      = document.getElementById('gameCanvas');
 const ctx         = canvas.getContext('2d');
 const elScore     = document.getElementById('score');
 const elBest      = document.getElementById('best-score');
+const elScoreP2   = document.getElementById('score-p2');
+const elP2Box     = document.getElementById('p2-box');
+const elScoreLbl  = document.getElementById('score-label');
+const elBestLbl   = document.getElementById('best-label');
 const elOverlay   = document.getElementById('overlay');
 const elTitle     = document.getElementById('overlay-title');
 const elMsg       = document.getElementById('overlay-msg');
 const elBtn       = document.getElementById('action-btn');
 const canvasWrap  = document.querySelector('.canvas-wrap');
+const elLevelRow  = document.getElementById('level-row');
+const elLevel     = document.getElementById('level-select');
+const elDiffRow   = document.getElementById('difficulty-row');
+const elDiff      = document.getElementById('difficulty-select');
+const elModeRow   = document.getElementById('mode-row');
+const elMode      = document.getElementById('mode-select');
+const elRoundsRow = document.getElementById('rounds-row');
+const elRounds    = document.getElementById('rounds-select');
+const elEndRun    = document.getElementById('end-run');
+const elWatch     = document.getElementById('replay-watch');
+const elSave      = document.getElementById('replay-save');
+const elLoad      = document.getElementById('replay-load');
+const elFile      = document.getElementById('replay-file');
+const elReplayBar = document.getElementById('replay-bar');
+const elRPlay     = document.getElementById('replay-play');
+const elRScrub    = document.getElementById('replay-scrub');
+const elRTime     = document.getElementById('replay-time');
+const elRSpeed    = document.getElementById('replay-speed');
+const elRExit     = document.getElementById('replay-exit');
+const elDpad      = document.getElementById('dpad');
+const elFooter    = document.getElementById('controls-hint');
+const elControls  = document.getElementById('overlay-controls');
+const elDaily     = document.getElementById('daily-status');
+const elCalendar  = document.getElementById('daily-calendar');
 
 // ─── Utilities ──────────────────────────────────────────────────────────────
 
@@ -111,10 +377,64 @@ function lighten(hex, t) {
 }
 function rndInt(n) { return Math.floor(Math.random()*n); }
 
+/** Scale a pixel size tuned for a 25px cell to the current cell size. */
+function px(n) { return n * CELL / BASE_CELL; }
+/** Scale a HUD/text size with the board, so it stays readable on big grids. */
+function ui(n) { return n * SIZE / BASE_SIZE; }
+function newSeed()  { return (Math.random() * 0x100000000) >>> 0; }
+
 // ─── LocalStorage ───────────────────────────────────────────────────────────
 
-function loadBest()  { try { return +localStorage.getItem('dg_best')||0; } catch { return 0; } }
-function saveBest(n) { try { localStorage.setItem('dg_best', n); }      catch {} }
+// Best scores and their ghost replays are kept per high-score bucket:
+// dg_best_<bucket> and dg_best_replay_<bucket>, see bestBucket()
+
+/** Classic runs keep the plain difficulty id so older bests stay put. */
+function bestBucket(mode, diff) { return mode === 'classic' ? diff : `${mode}_${diff}`; }
+
+/**
+ * Bests live in chrome.storage.local (history.js), written by the background
+ * worker; gs.bests is the loaded copy, kept current by storage.onChanged.
+ */
+function loadBest(bucket)    { return gs.bests[bucket] || 0; }
+function saveBest(bucket, n) {
+    gs.bests = { ...gs.bests, [bucket]: n };
+    report({ type: 'bestScored', bucket, score: n });
+}
+
+function loadGhost(bucket) {
+    try { return DreamyReplay.parse(localStorage.getItem(`dg_best_replay_${bucket}`)); }
+    catch { return null; }
+}
+function saveGhost(bucket, replay) {
+    try { localStorage.setItem(`dg_best_replay_${bucket}`, DreamyReplay.stringify(replay)); } catch {}
+}
+
+function loadDifficulty() {
+    try {
+        const id = localStorage.getItem('dg_difficulty');
+        return DIFFICULTY_ORDER.includes(id) ? id : 'normal';
+    } catch { return 'normal'; }
+}
+function saveDifficulty(id) { try { localStorage.setItem('dg_difficulty', id); } catch {} }
+
+function loadMode() {
+    try {
+        const id = localStorage.getItem('dg_mode');
+        return MODE_ORDER.includes(id) ? id : 'classic';
+    } catch { return 'classic'; }
+}
+function saveMode(id) { try { localStorage.setItem('dg_mode', id); } catch {} }
+
+function loadRounds() {
+    try {
+        const n = +localStorage.getItem('dg_rounds');
+        return ROUND_CHOICES.includes(n) ? n : 3;
+    } catch { return 3; }
+}
+function saveRounds(n) { try { localStorage.setItem('dg_rounds', String(n)); } catch {} }
+
+function loadLevelId()  { try { return localStorage.getItem('dg_level') || 'classic'; } catch { return 'classic'; } }
+function saveLevelId(id) { try { localStorage.setItem('dg_level', id); } catch {} }
 
 // ─── Overlay ────────────────────────────────────────────────────────────────
 
@@ -122,9 +442,25 @@ function showOverlay(title, msg, btn) {
     elTitle.textContent = title;
     elMsg.textContent   = msg;
     elBtn.textContent   = btn;
+    elModeRow.hidden = gs.phase === 'paused';
+    elLevelRow.hidden = elDiffRow.hidden = gs.phase === 'paused' || isDaily(gs.mode);
+    elRoundsRow.hidden = gs.phase === 'paused' || !isVersus(gs.mode);
+    elEndRun.hidden = !(gs.phase === 'paused' && MODES[gs.mode].noDeath);
+    elWatch.hidden = elSave.hidden = !gs.lastReplay || gs.phase === 'paused';
+    elLoad.hidden  = gs.phase === 'paused';
+    showDailyStatus();
     elOverlay.classList.remove('hidden');
     elBtn.focus();
 }
+function showStartOverlay() {
+    showOverlay('🍄 Dreamy Garden 🍄', withKeys(MODE_BLURBS[gs.mode]), startLabel());
+}
+
+function startLabel() {
+    if (!isDaily(gs.mode)) return 'Start Dreaming ✨';
+    return dailyDone() ? 'Practise 🌱' : 'Play Today’s Garden ✨';
+}
+
 function hideOverlay() {
     elOverlay.classList.add('hidden');
     canvas.focus();
@@ -134,12 +470,12 @@ function hideOverlay() {
 
 function spawnParticle(x, y, burst = false) {
     const angle = Math.random() * Math.PI * 2;
-    const spd   = burst ? 1.5 + Math.random()*3.5 : 0.2 + Math.random()*0.5;
+    const spd   = ui(burst ? 1.5 + Math.random()*3.5 : 0.2 + Math.random()*0.5);
     gs.particles.push({
         x, y,
         vx: Math.cos(angle)*spd,
-        vy: Math.sin(angle)*spd - (burst ? 0 : 0.6),
-        size:  burst ? 2+Math.random()*3 : 1+Math.random()*2,
+        vy: Math.sin(angle)*spd - ui(burst ? 0 : 0.6),
+        size:  ui(burst ? 2+Math.random()*3 : 1+Math.random()*2),
         color: SPARK_COLS[rndInt(SPARK_COLS.length)],
         life:  1,
         decay: burst ? 0.022+Math.random()*0.018 : 0.007+Math.random()*0.006,
@@ -149,12 +485,12 @@ function spawnBurst(cx, cy, n) { for (let i=0;i<n;i++) spawnParticle(cx, cy, tru
 
 function updateParticles() {
     if (gs.frame % 5 === 0 && gs.particles.length < MAX_PART) {
-        spawnParticle(Math.random()*SIZE, SIZE+5, false);
+        spawnParticle(Math.random()*SIZE, SIZE + ui(5), false);
     }
     for (let i = gs.particles.length-1; i >= 0; i--) {
         const p = gs.particles[i];
         p.x += p.vx; p.y += p.vy;
-        p.vy += 0.05;
+        p.vy += ui(0.05);
         p.life -= p.decay;
         if (p.life <= 0 || p.y < -10) gs.particles.splice(i,1);
     }
@@ -179,12 +515,12 @@ function spawnFloat(cx, cy, text = '+1', color = '#f9a8d4') {
 function updateFloats() {
     for (let i = gs.floatTexts.length-1; i >= 0; i--) {
         const t = gs.floatTexts[i];
-        t.y -= 1.4; t.life -= 0.028;
+        t.y -= ui(1.4); t.life -= 0.028;
         if (t.life <= 0) gs.floatTexts.splice(i,1);
     }
 }
 function drawFloats() {
-    ctx.font = 'bold 17px system-ui';
+    ctx.font = `bold ${ui(17)}px system-ui`;
     ctx.textAlign = 'center';
     for (const t of gs.floatTexts) {
         ctx.globalAlpha = t.life;
@@ -196,24 +532,48 @@ function drawFloats() {
 
 // ─── Board ──────────────────────────────────────────────────────────────────
 
-function drawBoard() {
-    ctx.clearRect(0, 0, SIZE, SIZE);
+/** Redraw the static wall layer whenever the level (or board size) changes. */
+function syncBoard(eng) {
+    const level = eng.state.level;
+    CELL = SIZE / eng.state.grid;
+    if (gs.boardLevel === level) return;
+    gs.boardLevel = level;
+    gs.wallLayer  = null;
+    if (level) gs.wallLayer = DreamyBoard.renderWallLayer(level, SIZE, DPR);
+}
 
-    // Frosted dark overlay over the CSS animated background
-    ctx.fillStyle = 'rgba(8, 3, 22, 0.52)';
-    ctx.beginPath();
-    ctx.roundRect(0, 0, SIZE, SIZE, 18);
-    ctx.fill();
+/**
+ * Fit the board to the window and the backing store to devicePixelRatio.
+ * Drawing stays in CSS px (the context is scaled by DPR), so only SIZE and
+ * CELL change; the run itself is untouched and effects are moved along.
+ */
+function fitCanvas() {
+    const old   = SIZE;
+    const avail = Math.min(window.innerWidth - 24, window.innerHeight - PAGE_CHROME);
+    SIZE = Math.max(MIN_SIZE, Math.min(MAX_SIZE, Math.floor(avail)));
+    DPR  = window.devicePixelRatio || 1;
+
+    canvas.width = canvas.height = Math.round(SIZE * DPR);
+    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+    document.documentElement.style.setProperty('--board-size', `${SIZE}px`);
+
+    const k = SIZE / old;
+    for (const p of gs.particles)  { p.x *= k; p.y *= k; }
+    for (const t of gs.floatTexts) { t.x *= k; t.y *= k; }
+    gs.boardLevel = undefined;   // re-render the wall layer at the new size
+}
 
-    // Faint grid dots
-    ctx.fillStyle = 'rgba(255,255,255,0.045)';
-    for (let gx=0; gx<GRID; gx++) {
-        for (let gy=0; gy<GRID; gy++) {
-            ctx.beginPath();
-            ctx.arc(gx*CELL+CELL/2, gy*CELL+CELL/2, 1.1, 0, Math.PI*2);
-            ctx.fill();
-        }
-    }
+/** Frosted glass + grid dots (shared with the editor, see board.js), then the hedges and rocks of the run being drawn. */
+function drawBoard(state) {
+    const { grid, level, obstacles } = state;
+    DreamyBoard.drawBase(ctx, SIZE, grid);
+
+    // Hedges + ponds (pre-rendered, see syncBoard)
+    if (gs.wallLayer) ctx.drawImage(gs.wallLayer, 0, 0, SIZE, SIZE);
+    if (level) DreamyBoard.drawPortals(ctx, level, CELL, gs.frame);
+
+    // Survival rocks appear mid-run, so they're drawn live
+    for (const o of obstacles) DreamyBoard.drawRockTile(ctx, o.x, o.y, CELL);
 }
 
 // ─── Mushroom Food ───────────────────────────────────────────────────────────
@@ -250,7 +610,7 @@ function drawMushroom(cx, cy, mushIdx, frame) {
 
     // ── Cap dome (one shadowBlur per mushroom, cheap) ──
     ctx.shadowColor = m.glow;
-    ctx.shadowBlur  = 14;
+    ctx.shadowBlur  = px(14);
     ctx.fillStyle   = m.cap;
     ctx.beginPath();
     ctx.moveTo(-sc, -sc*0.05);
@@ -277,13 +637,126 @@ function drawMushroom(cx, cy, mushIdx, frame) {
     ctx.restore();
 }
 
+/** Countdown ring round a golden mushroom; `left` runs 1 → 0. */
+function drawGoldenRing(cx, cy, left) {
+    const r = CELL * 0.66;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.strokeStyle = rgba(GOLDEN_COL, 0.18);
+    ctx.lineWidth = px(3);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.max(0, left));
+    ctx.strokeStyle = rgba(GOLDEN_COL, left < 0.3 ? 0.6 + 0.4 * Math.sin(gs.frame * 0.4) : 0.9);
+    ctx.stroke();
+}
+
+// ─── Hazard Mushroom ─────────────────────────────────────────────────────────
+
+/** The jagged hazard cap outline, in the mushroom's local units. */
+function hazardCapPath(sc) {
+    ctx.beginPath();
+    ctx.moveTo(-sc, -sc*0.05);
+    ctx.bezierCurveTo(-sc, -sc*1.55, sc, -sc*1.55, sc, -sc*0.05);
+    for (let i = 1; i <= 6; i++) ctx.lineTo(sc - i * sc / 3, -sc*0.05 + (i % 2 ? sc*0.2 : 0));
+    ctx.closePath();
+}
+
+function drawHazardMushroom(cx, cy, hz, frame, now) {
+    const def = HAZARD_TYPES[hz.type];
+    const m   = HAZARD_MUSHROOMS[def.id];
+    const sc  = CELL * 0.42;
+    const wobble = 0.08 * Math.sin(frame * 0.09);
+
+    // Blink when about to wilt (last 2 seconds)
+    if (HAZARD_DESPAWN_MS - (now - hz.spawnedAt) < 2000 && Math.floor(frame / 6) % 2 === 0) return;
+
+    // Dashed warning ring
+    ctx.save();
+    ctx.setLineDash([px(3), px(3)]);
+    ctx.lineDashOffset = frame * 0.3;
+    ctx.strokeStyle = rgba(m.glow, 0.7);
+    ctx.lineWidth = px(1.5);
+    ctx.beginPath();
+    ctx.arc(cx, cy, CELL * 0.62, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.save();
+    ctx.translate(cx, cy + sc * 0.25);
+    ctx.rotate(wobble);
+
+    // Stem
+    ctx.fillStyle = m.stem;
+    ctx.beginPath();
+    ctx.roundRect(-sc*0.24, -sc*0.05, sc*0.48, sc*0.75, sc*0.14);
+    ctx.fill();
+
+    // Cap underside
+    ctx.fillStyle = m.under;
+    ctx.beginPath();
+    ctx.ellipse(0, -sc*0.05, sc*0.98, sc*0.22, 0, 0, Math.PI);
+    ctx.fill();
+
+    // Jagged cap
+    ctx.shadowColor = m.glow;
+    ctx.shadowBlur  = px(10);
+    ctx.fillStyle   = m.cap;
+    hazardCapPath(sc);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    // Pattern, clipped to the cap
+    ctx.save();
+    hazardCapPath(sc);
+    ctx.clip();
+    ctx.strokeStyle = m.mark;
+    ctx.fillStyle   = m.mark;
+    ctx.lineWidth   = sc * 0.16;
+    ctx.lineCap     = 'round';
+    if (m.pattern === 'stripes') {
+        for (let i = -3; i <= 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * sc * 0.45 - sc * 0.6, 0);
+            ctx.lineTo(i * sc * 0.45 + sc * 0.6, -sc * 1.3);
+            ctx.stroke();
+        }
+    } else if (m.pattern === 'zzz') {
+        ctx.font = `bold ${sc * 0.55}px system-ui`;
+        ctx.textAlign = 'center';
+        ctx.fillText('z', -sc * 0.45, -sc * 0.3);
+        ctx.fillText('z', sc * 0.05, -sc * 0.55);
+        ctx.fillText('z', sc * 0.5, -sc * 0.3);
+    } else if (m.pattern === 'cross') {
+        ctx.lineWidth = sc * 0.13;
+        for (const dir of [1, -1]) {
+            ctx.beginPath();
+            ctx.moveTo(-sc * 0.45 * dir, -sc * 0.95);
+            ctx.lineTo(sc * 0.45 * dir, -sc * 0.25);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.arc(0, -sc * 0.6, sc * 0.18, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+
+    // Dark rim so the jagged edge reads on any theme
+    ctx.strokeStyle = 'rgba(0,0,0,0.45)';
+    ctx.lineWidth = px(1);
+    hazardCapPath(sc);
+    ctx.stroke();
+
+    ctx.restore();
+}
+
 // ─── Power-Up Mushroom (trippy glow) ─────────────────────────────────────────
 
-function drawPowerupMushroom(cx, cy, typeIdx, frame, ts) {
-    const def   = POWERUP_TYPES[typeIdx];
+function drawPowerupMushroom(cx, cy, pu, frame, now) {
+    const def   = POWERUP_TYPES[pu.type];
     const sc    = CELL * 0.46;
     const pulse = 1 + 0.14 * Math.sin(frame * 0.12);
-    const age   = gs.powerup ? ts - gs.powerup.spawnedAt : 0;
+    const age   = now - pu.spawnedAt;
 
     // Blink when about to despawn (last 3 seconds)
     const timeLeft = POWERUP_DESPAWN_MS - age;
@@ -296,7 +769,7 @@ function drawPowerupMushroom(cx, cy, typeIdx, frame, ts) {
     // Outer glow rings
     const ringPhase = frame * 0.08;
     for (let r = 3; r >= 1; r--) {
-        const ringR = sc * (1.2 + r * 0.5) + Math.sin(ringPhase + r) * 4;
+        const ringR = sc * (1.2 + r * 0.5) + Math.sin(ringPhase + r) * px(4);
         const alpha = 0.08 + 0.04 * Math.sin(ringPhase + r * 2);
         ctx.beginPath();
         ctx.arc(0, -sc * 0.3, ringR, 0, Math.PI * 2);
@@ -325,7 +798,7 @@ function drawPowerupMushroom(cx, cy, typeIdx, frame, ts) {
     const blend = 0.5 + 0.5 * Math.sin(frame * 0.06);
 
     ctx.shadowColor = def.glow;
-    ctx.shadowBlur  = 18 + 6 * Math.sin(frame * 0.1);
+    ctx.shadowBlur  = px(18 + 6 * Math.sin(frame * 0.1));
 
     const capGrad = ctx.createLinearGradient(-sc, -sc * 1.2, sc, -sc * 0.2);
     capGrad.addColorStop(0, def.color);
@@ -363,17 +836,17 @@ function drawPowerupMushroom(cx, cy, typeIdx, frame, ts) {
     for (let i = 0; i < 4; i++) {
         const angle = frame * 0.04 + i * (Math.PI / 2);
         const orbitR = sc * 1.8;
-        const px = cx + Math.cos(angle) * orbitR;
-        const py = (cy + sc * 0.25 - sc * 0.3) + Math.sin(angle) * orbitR * 0.6;
+        const ox = cx + Math.cos(angle) * orbitR;
+        const oy = (cy + sc * 0.25 - sc * 0.3) + Math.sin(angle) * orbitR * 0.6;
         const sparkAlpha = 0.5 + 0.3 * Math.sin(frame * 0.1 + i);
         ctx.beginPath();
-        ctx.arc(px, py, 2, 0, Math.PI * 2);
+        ctx.arc(ox, oy, px(2), 0, Math.PI * 2);
         ctx.fillStyle = rgba(POWERUP_RAINBOW[(i + rainbowIdx) % POWERUP_RAINBOW.length], sparkAlpha);
         ctx.fill();
     }
 
     // Power-up type icon floating above
-    ctx.font = '12px system-ui';
+    ctx.font = `${px(12)}px system-ui`;
     ctx.textAlign = 'center';
     ctx.globalAlpha = 0.6 + 0.3 * Math.sin(frame * 0.08);
     ctx.fillText(def.icon, cx, cy - sc * 1.6);
@@ -389,11 +862,11 @@ function drawPowerupMushroom(cx, cy, typeIdx, frame, ts) {
  */
 function drawHairs(cx, cy, r, color, segIdx) {
     const COUNT   = 9;
-    const HAIR    = 4.5;
+    const HAIR    = px(4.5);
     const GOLDEN  = 2.399; // golden angle radians
 
     ctx.strokeStyle = rgba(color, 0.52);
-    ctx.lineWidth   = 0.9;
+    ctx.lineWidth   = px(0.9);
     ctx.lineCap     = 'round';
 
     for (let i = 0; i < COUNT; i++) {
@@ -401,7 +874,7 @@ function drawHairs(cx, cy, r, color, segIdx) {
         const cos   = Math.cos(angle);
         const sin   = Math.sin(angle);
         ctx.beginPath();
-        ctx.moveTo(cx + cos * (r - 0.5), cy + sin * (r - 0.5));
+        ctx.moveTo(cx + cos * (r - px(0.5)), cy + sin * (r - px(0.5)));
         ctx.lineTo(cx + cos * (r + HAIR),  cy + sin * (r + HAIR));
         ctx.stroke();
     }
@@ -412,26 +885,26 @@ function drawHairs(cx, cy, r, color, segIdx) {
  * Halos are transparent circles (no shadowBlur). Only the HEAD gets
  * a single shadowBlur call.
  */
-function drawSegment(cx, cy, color, isHead, dirIdx) {
+function drawSegment(cx, cy, color, isHead, dirIdx, headGlow) {
     const r = isHead ? CELL*0.48 : CELL*0.42;
 
     // ── Fuzzy halo layers (NO shadowBlur, just alpha circles) ──
     const halos = [[3.0, 0.07],[2.2, 0.10],[1.4, 0.14]];
     for (const [mult, alpha] of halos) {
         ctx.beginPath();
-        ctx.arc(cx, cy, r + mult*2.5, 0, Math.PI*2);
+        ctx.arc(cx, cy, r + px(mult*2.5), 0, Math.PI*2);
         ctx.fillStyle = rgba(color, alpha);
         ctx.fill();
     }
 
     // ── Main body circle (one shadowBlur only on head) ──
     if (isHead) {
-        if (gs.activePowers.length > 0) {
-            ctx.shadowColor = POWERUP_TYPES[gs.activePowers[0].type].glow;
-            ctx.shadowBlur = 24;
+        if (headGlow) {
+            ctx.shadowColor = headGlow;
+            ctx.shadowBlur = px(24);
         } else {
             ctx.shadowColor = color;
-            ctx.shadowBlur = 16;
+            ctx.shadowBlur = px(16);
         }
     }
 
@@ -478,7 +951,7 @@ function drawFace(cx, cy, r, dirIdx) {
     const ants = ANT_OFF[dirIdx] || ANT_OFF[0];
 
     // Antennae (thin curves, no blur)
-    ctx.lineWidth   = 1.4;
+    ctx.lineWidth   = px(1.4);
     ctx.lineCap     = 'round';
     ctx.strokeStyle = 'rgba(255,255,255,0.62)';
 
@@ -492,7 +965,7 @@ function drawFace(cx, cy, r, dirIdx) {
         ctx.stroke();
         // Antenna tip dot (tiny, no blur)
         ctx.beginPath();
-        ctx.arc(ex + ax*r*0.28, ey + ay*r*0.22, 2.4, 0, Math.PI*2);
+        ctx.arc(ex + ax*r*0.28, ey + ay*r*0.22, px(2.4), 0, Math.PI*2);
         ctx.fillStyle = '#f9a8d4';
         ctx.fill();
     }
@@ -503,17 +976,17 @@ function drawFace(cx, cy, r, dirIdx) {
         const ecy = cy + ey*r;
         // white
         ctx.beginPath();
-        ctx.arc(ecx, ecy, 3.8, 0, Math.PI*2);
+        ctx.arc(ecx, ecy, px(3.8), 0, Math.PI*2);
         ctx.fillStyle = '#fff';
         ctx.fill();
         // pupil
         ctx.beginPath();
-        ctx.arc(ecx+0.8, ecy+0.8, 2.0, 0, Math.PI*2);
+        ctx.arc(ecx+px(0.8), ecy+px(0.8), px(2.0), 0, Math.PI*2);
         ctx.fillStyle = '#1e0933';
         ctx.fill();
         // shine
         ctx.beginPath();
-        ctx.arc(ecx-0.5, ecy-0.5, 0.85, 0, Math.PI*2);
+        ctx.arc(ecx-px(0.5), ecy-px(0.5), px(0.85), 0, Math.PI*2);
         ctx.fillStyle = '#fff';
         ctx.fill();
     }
@@ -524,15 +997,17 @@ function drawFace(cx, cy, r, dirIdx) {
  * Uses the INTERPOLATED positions (rx/ry) passed in.
  * No shadowBlur — uses lineWidth + alpha for a soft join.
  */
-function drawConnections(positions) {
+function drawConnections(positions, cols = SEG_COLS) {
     if (positions.length < 2) return;
     ctx.lineCap = 'round';
 
     for (let i = 0; i < positions.length-1; i++) {
         const [ax, ay] = positions[i];
         const [bx, by] = positions[i+1];
-        const colA = SEG_COLS[i   % SEG_COLS.length];
-        const colB = SEG_COLS[(i+1)% SEG_COLS.length];
+        // No join across a wrap or portal jump
+        if (Math.abs(ax - bx) > CELL * 1.5 || Math.abs(ay - by) > CELL * 1.5) continue;
+        const colA = cols[i   % cols.length];
+        const colB = cols[(i+1)% cols.length];
 
         const grad = ctx.createLinearGradient(ax, ay, bx, by);
         grad.addColorStop(0, rgba(colA, 0.82));
@@ -542,17 +1017,22 @@ function drawConnections(positions) {
         ctx.moveTo(ax, ay);
         ctx.lineTo(bx, by);
         ctx.strokeStyle = grad;
-        ctx.lineWidth   = CELL - 10;
+        ctx.lineWidth   = CELL - px(10);
         ctx.stroke();
     }
 }
 
 /**
  * Render the full snake using interpolated (smooth) positions.
+ * @param {object} eng       engine (or replay engine) whose snake to draw
  * @param {number} progress  0→1 fraction between last tick and now
+ * @param {number} [alpha]   overall opacity, e.g. GHOST_ALPHA for the racer
+ * @param {number} [player]  which of the engine's caterpillars (Versus has two)
  */
-function drawSnake(progress) {
-    const { snake, dir } = gs;
+function drawSnake(eng, progress, alpha = 1, player = 0) {
+    const { snake, dir } = eng.state.players[player];
+    const { activePowers, activeCombos, activeHazards } = eng.state;
+    const cols = PLAYER_COLS[player];
     if (!snake.length) return;
 
     const dirIdx =
@@ -565,125 +1045,111 @@ function drawSnake(progress) {
         lerp(s.py, s.y, progress) * CELL + CELL/2,
     ]);
 
-    // Power-up visual modifiers
-    const isGhost = hasPower('ghost');
-    const isSpeed = hasPower('speed');
-    const isWrap  = hasPower('wrap');
+    // Power-up looks (POWERUP_LOOKS)
+    const looks = [
+        ...activePowers.map(p => POWERUP_LOOKS[POWERUP_TYPES[p.type].id] || {}),
+        ...activeCombos.map(c => COMBO_LOOKS[COMBOS[c].id] || {}),
+        ...activeHazards.map(h => HAZARD_LOOKS[HAZARD_TYPES[h.type].id] || {}),
+    ];
 
-    // Ghost: semi-transparent snake
-    if (isGhost) ctx.globalAlpha = 0.55;
+    // Head glow: a combo's own, else each active power's in turn
+    const glows    = activeCombos.length ? [COMBOS[activeCombos[0]].glow] : activePowers.map(p => POWERUP_TYPES[p.type].glow);
+    const headGlow = glows.length ? glows[Math.floor(gs.frame / 45) % glows.length] : null;
 
-    // Speed: golden afterimage halo
-    if (isSpeed) {
-        const prevAlpha = ctx.globalAlpha;
-        ctx.globalAlpha = 0.15;
-        for (let i = snake.length - 1; i >= 0; i--) {
-            const r = i === 0 ? CELL * 0.48 : CELL * 0.42;
-            ctx.beginPath();
-            ctx.arc(pos[i][0], pos[i][1], r + 4, 0, Math.PI * 2);
-            ctx.fillStyle = rgba('#facc15', 0.2);
-            ctx.fill();
-        }
-        ctx.globalAlpha = prevAlpha;
-    }
+    ctx.globalAlpha = looks.reduce((a, look) => a * (look.alpha || 1), alpha);
+    for (const look of looks) if (look.under) look.under(pos, eng);
 
     // 1. Connections (behind everything)
-    drawConnections(pos);
+    drawConnections(pos, cols);
 
     // 2. Segments tail→head so head renders on top
     for (let i = snake.length-1; i >= 0; i--) {
-        const col = SEG_COLS[i % SEG_COLS.length];
-        drawSegment(pos[i][0], pos[i][1], col, i === 0, dirIdx);
+        const col = cols[i % cols.length];
+        drawSegment(pos[i][0], pos[i][1], col, i === 0, dirIdx, headGlow);
     }
 
-    // Wrap: green pulsing ring on each segment
-    if (isWrap) {
-        const ringAlpha = 0.25 + 0.15 * Math.sin(gs.frame * 0.1);
-        for (let i = 0; i < pos.length; i++) {
-            const r = i === 0 ? CELL * 0.48 : CELL * 0.42;
-            ctx.beginPath();
-            ctx.arc(pos[i][0], pos[i][1], r + 3, 0, Math.PI * 2);
-            ctx.strokeStyle = rgba('#34d399', ringAlpha);
-            ctx.lineWidth = 1.5;
-            ctx.stroke();
-        }
-    }
+    for (const look of looks) if (look.over) look.over(pos, eng);
 
     ctx.globalAlpha = 1;
 }
 
-// ─── Game Logic ──────────────────────────────────────────────────────────────
+// ─── Game Events ─────────────────────────────────────────────────────────────
 
-function placeFood() {
-    const occ = new Set(gs.snake.map(s=>`${s.x},${s.y}`));
-    let x, y;
-    do { x = rndInt(GRID); y = rndInt(GRID); }
-    while (occ.has(`${x},${y}`));
-    gs.food = { x, y, mush: rndInt(MUSHROOMS.length) };
-}
+function cellCenter(x, y) { return [x*CELL+CELL/2, y*CELL+CELL/2]; }
 
-// ─── Power-Up Logic ─────────────────────────────────────────────────────────
-
-function hasPower(id) {
-    return gs.activePowers.some(p => POWERUP_TYPES[p.type].id === id);
+/** m:ss, rounding up so the clock reads 0:00 only when time is really up. */
+function formatClock(ms) {
+    const secs = Math.ceil(ms / 1000);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
 }
 
-function recalcSpeedMultiplier() {
-    gs.speedMultiplier = hasPower('speed') ? SPEED_MULTIPLIER : 1;
+/** Show the live score, and a new best for this mode + difficulty (banked at endRun). */
+function showScore(score, player = 0) {
+    (player ? elScoreP2 : elScore).textContent = score;
+    if (isVersus(gs.engine.state.mode)) return;   // head-to-head scores aren't records
+    if (gs.phase === 'playing' && !gs.assisted && score > gs.best) {
+        gs.best = score;
+        elBest.textContent = gs.best;
+    }
 }
 
-function trySpawnPowerup(ts) {
-    if (gs.powerup) return;
-    if (ts - gs.lastPowerSpawn < POWERUP_SPAWN_INTERVAL) return;
-    gs.lastPowerSpawn = ts;
-    if (Math.random() > POWERUP_SPAWN_CHANCE) return;
-    if (gs.score < 3) return;
+function onAte(e) {
+    showScore(e.score, e.player);
+    DreamyAudio.play('eat', e.mult);
+    const tier = MUSHROOM_TIERS[e.mush];
+    if (gs.phase === 'playing' && !e.player) gs.runMushrooms[tier.id] = (gs.runMushrooms[tier.id] || 0) + 1;
+    const [cx, cy] = cellCenter(e.x, e.y);
+    if (tier.id === 'golden') {
+        spawnBurst(cx, cy, 32);
+        spawnFloat(cx, cy - CELL, `🌟 +${e.points}`, GOLDEN_COL);
+        return;
+    }
+    spawnBurst(cx, cy, 16);
+    spawnFloat(cx, cy - CELL, `+${e.points}`, e.player ? SEG_COLS_P2[0] : undefined);
+}
 
-    const occ = new Set(gs.snake.map(s => `${s.x},${s.y}`));
-    occ.add(`${gs.food.x},${gs.food.y}`);
-    let x, y, attempts = 0;
-    do { x = rndInt(GRID); y = rndInt(GRID); attempts++; }
-    while (occ.has(`${x},${y}`) && attempts < 80);
-    if (attempts >= 80) return;
+/** Eating quickly raised the score multiplier. */
+function onMultUp(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('multUp', e.mult);
+    spawnBurst(cx, cy, 10 + e.mult * 4);
+    spawnFloat(cx, cy - CELL * 2, `×${e.mult}!`, MULT_COLS[Math.min(e.mult, MULT_COLS.length) - 1]);
+}
 
-    gs.powerup = { x, y, type: rndInt(POWERUP_TYPES.length), spawnedAt: ts };
+/** A golden mushroom popped up: grab it before its ring runs out. */
+function onGoldenSpawned(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('golden');
+    spawnBurst(cx, cy, 12);
+    spawnFloat(cx, cy - CELL, '🌟 Golden!', GOLDEN_COL);
 }
 
-function updatePowerup(ts) {
-    if (gs.powerup && ts - gs.powerup.spawnedAt > POWERUP_DESPAWN_MS) {
-        const cx = gs.powerup.x * CELL + CELL / 2;
-        const cy = gs.powerup.y * CELL + CELL / 2;
-        spawnBurst(cx, cy, 8);
-        gs.powerup = null;
-    }
+/** A golden mushroom or spore ran out of time. */
+function onFoodWithered(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 6);
 }
 
-function updateActivePowers(ts) {
-    let changed = false;
-    for (let i = gs.activePowers.length - 1; i >= 0; i--) {
-        if (ts >= gs.activePowers[i].expiresAt) {
-            gs.activePowers.splice(i, 1);
-            changed = true;
-        }
-    }
-    if (changed) recalcSpeedMultiplier();
+function onPowerupDespawned(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 8);
 }
 
-function collectPowerup(ts) {
-    const pu = gs.powerup;
-    const def = POWERUP_TYPES[pu.type];
-    const cx = pu.x * CELL + CELL / 2;
-    const cy = pu.y * CELL + CELL / 2;
+function onPowerupCollected(e) {
+    const def = POWERUP_TYPES[e.powerup];
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('powerup', def.id);
+    if (gs.phase === 'playing') gs.runPowerups.push(def.id);
 
     // Rainbow burst
     for (let i = 0; i < 24; i++) {
         const angle = Math.random() * Math.PI * 2;
-        const spd = 2 + Math.random() * 3;
+        const spd = ui(2 + Math.random() * 3);
         gs.particles.push({
             x: cx, y: cy,
             vx: Math.cos(angle) * spd,
             vy: Math.sin(angle) * spd,
-            size: 2.5 + Math.random() * 3,
+            size: ui(2.5 + Math.random() * 3),
             color: POWERUP_RAINBOW[rndInt(POWERUP_RAINBOW.length)],
             life: 1,
             decay: 0.018 + Math.random() * 0.012,
@@ -691,241 +1157,949 @@ function collectPowerup(ts) {
     }
 
     spawnFloat(cx, cy - CELL, def.icon + ' ' + def.label, def.color);
+}
 
-    // Refresh timer if same type already active, else add
-    const existing = gs.activePowers.find(p => p.type === pu.type);
-    if (existing) {
-        existing.expiresAt = ts + def.duration;
-    } else {
-        gs.activePowers.push({ type: pu.type, expiresAt: ts + def.duration });
+/** Two active power-ups just made a combo. */
+function onComboStarted(e) {
+    const combo = COMBOS[e.combo];
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('powerCombo');
+    for (let i = 0; i < 30; i++) {
+        const angle = (i / 30) * Math.PI * 2;
+        const spd = ui(3);
+        gs.particles.push({
+            x: cx, y: cy,
+            vx: Math.cos(angle) * spd,
+            vy: Math.sin(angle) * spd,
+            size: ui(3),
+            color: i % 2 ? combo.color : combo.glow,
+            life: 1,
+            decay: 0.02,
+        });
     }
+    spawnFloat(cx, cy - CELL * 2, `${combo.icon} ${combo.label} COMBO!`, combo.color);
+}
 
-    recalcSpeedMultiplier();
-    gs.powerup = null;
+/** A hazard mushroom got eaten: its effect, if it has one, shows in the HUD. */
+function onHazardEaten(e) {
+    const def = HAZARD_TYPES[e.hazard];
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('hazard');
+    // Murky burst in the hazard's colours
+    for (let i = 0; i < 16; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const spd = ui(1 + Math.random() * 2);
+        gs.particles.push({
+            x: cx, y: cy,
+            vx: Math.cos(angle) * spd,
+            vy: Math.sin(angle) * spd,
+            size: ui(2 + Math.random() * 3),
+            color: i % 2 ? def.color : def.glow,
+            life: 1,
+            decay: 0.025 + Math.random() * 0.015,
+        });
+    }
+    spawnFloat(cx, cy - CELL, `${def.icon} ${def.label}`, def.color);
 }
 
-function buildSnake() {
-    const sx = Math.floor(GRID/2);
-    const sy = Math.floor(GRID/2);
-    return [
-        {x:sx,   y:sy, px:sx,   py:sy},
-        {x:sx-1, y:sy, px:sx-1, py:sy},
-        {x:sx-2, y:sy, px:sx-2, py:sy},
-    ];
+function onHazardDespawned(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 6);
 }
 
-/**
- * Discrete movement step (called every MOVE_MS ms).
- *
- * Smooth trick: instead of unshift+pop, we CASCADE positions backward.
- * Each segment takes the previous position of the segment ahead of it.
- * This gives every segment a correct (px→x) pair to interpolate over.
- */
-function tick() {
-    if (gs.phase !== 'playing') return;
+/** Shield: a crash that the bubble took instead. */
+function onAbsorbed(e) {
+    const def = POWERUP_TYPES[e.powerup];
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 18);
+    spawnFloat(cx, cy - CELL, `${def.icon} Saved!`, def.color);
+}
 
-    const { snake, nextDir, food } = gs;
-    gs.dir      = { ...nextDir };
-    gs.dirLocked = false;
+/** Shrink: segments snipped off the tail. */
+function onShrunk(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 10);
+    spawnFloat(cx, cy - CELL, `✂️ −${e.count}`, '#fb923c');
+    showScore(e.score);
+}
 
-    // 1. Save all current positions as "previous" BEFORE moving
-    for (const s of snake) { s.px = s.x; s.py = s.y; }
+/** Zen: the tail came off where the head bit it. */
+function onTrimmed(e) {
+    showScore(e.score);
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 10);
+    spawnFloat(cx, cy - CELL, `✂️ −${e.count}`, '#7dd3fc');
+}
 
-    // 2. Compute new head position
-    let nhx = snake[0].x + nextDir.x;
-    let nhy = snake[0].y + nextDir.y;
+/** Survival: a rock grew, and lasting through it scores. */
+function onObstacleAdded(e) {
+    showScore(e.score);
+    const [cx, cy] = cellCenter(e.x, e.y);
+    spawnBurst(cx, cy, 12);
+    spawnFloat(cx, cy - CELL, '🪨 +1', '#d6d3d1');
+}
 
-    // 3. Collision: walls (wrap if powered)
-    if (nhx < 0 || nhx >= GRID || nhy < 0 || nhy >= GRID) {
-        if (hasPower('wrap')) {
-            nhx = ((nhx % GRID) + GRID) % GRID;
-            nhy = ((nhy % GRID) + GRID) % GRID;
-        } else {
-            die(); return;
-        }
+/** Versus round or match result [title, message, button] from the tally. */
+function matchSummary(e) {
+    const m     = gs.match;
+    const tally = `${m.wins[0]}–${m.wins[1]}`;
+    if (m.done) {
+        const w = m.wins[0] > m.wins[1] ? 0 : 1;
+        return [`🏆 ${PLAYER_NAMES[w]} Wins! 🏆`, `Match over, ${tally} in a best of ${m.bestOf}. Shake hands and go again?`, 'Rematch 🍄'];
     }
+    const round = e.winner === null
+        ? `Round ${m.round} is a draw — nobody scores 🤝`
+        : `${PLAYER_NAMES[e.winner]} takes round ${m.round}`;
+    return ['👥 Round Over 👥', `${round}. Match ${tally}, best of ${m.bestOf}.`, 'Next Round ✨'];
+}
 
-    // 4. Collision: self (skip if ghost mode, skip last tail — it cascades)
-    if (!hasPower('ghost')) {
-        for (let i = 0; i < snake.length - 1; i++) {
-            if (snake[i].x === nhx && snake[i].y === nhy) { die(); return; }
+/** End-of-run overlay [title, message, button?] for each mode. */
+function runSummary(e, newBest) {
+    const st   = gs.engine.state;
+    const pace = difficultyName(st.difficulty);
+    const best = newBest ? ' — new best! Race your ghost next run 👻' : '';
+
+    switch (st.mode) {
+    case 'zen':
+        return ['🧘 Session Complete 🧘', `Your caterpillar grew ${e.score} segment${e.score === 1 ? '' : 's'} on ${pace}${best || ' — so peaceful 🌿'}`];
+    case 'time60':
+    case 'time120': {
+        const { eaten } = st.players[0];
+        const haul = `${eaten} mushroom${eaten === 1 ? '' : 's'} for ${e.score} point${e.score === 1 ? '' : 's'}`;
+        if (e.type === 'ended') {
+            return ['⏱️ Time’s Up! ⏱️', `${haul} in ${MODES[st.mode].timeLimit / 1000}s on ${pace}${best || ' 🍄'}`];
         }
+        return ['💔 Oh No! 💔', `${haul} with ${formatClock(gs.engine.timeLeft())} still on the clock (${pace})${best}`];
     }
-
-    // 5. Check food before cascading
-    const ate = nhx === food.x && nhy === food.y;
-
-    // 6. CASCADE: each segment takes position of the one before it
-    for (let i = snake.length-1; i > 0; i--) {
-        snake[i].x = snake[i-1].x;
-        snake[i].y = snake[i-1].y;
+    case 'versus':
+        return matchSummary(e);
+    case 'daily':
+        return dailySummary(e);
+    case 'survival':
+        return ['🪨 Overgrown! 🪨', `Score: ${e.score} on ${pace} — you outlasted ${st.obstacles.length} rocks${best || ' 🌿'}`];
+    default:
+        return ['💔 Oh No! 💔', `Score: ${e.score} on ${pace}${best || (e.score > 0 ? ' — great run! 🌸' : ' — try again! ✨')}`];
     }
-    snake[0].x = nhx;
-    snake[0].y = nhy;
+}
 
-    // Fix interpolation for wall wrap (prevent lerp streak across board)
-    if (Math.abs(snake[0].x - snake[0].px) > 1) snake[0].px = snake[0].x;
-    if (Math.abs(snake[0].y - snake[0].py) > 1) snake[0].py = snake[0].y;
+/**
+ * Hand a result to the background worker (background.js), which owns the
+ * run history, best scores, achievements and the Daily Garden record.
+ * Resolves to its reply, or null.
+ */
+function report(msg) {
+    return chrome.runtime.sendMessage(msg).catch(() => null);
+}
 
-    // 7. Eat food → grow + score
-    if (ate) {
-        gs.score++;
-        elScore.textContent = gs.score;
-        if (gs.score > gs.best) {
-            gs.best = gs.score;
-            elBest.textContent = gs.best;
-            saveBest(gs.best);
-        }
-        const cx = food.x * CELL + CELL/2;
-        const cy = food.y * CELL + CELL/2;
-        spawnBurst(cx, cy, 16);
-        spawnFloat(cx, cy - CELL);
+/** Add a finished single-player run to the history behind the popup's stats. */
+function saveRun(e) {
+    const st = gs.engine.state;
+    const run = {
+        date:       new Date().toISOString(),
+        mode:       st.mode,
+        difficulty: st.difficulty,
+        level:      (st.level && st.level.id) || null,
+        score:      e.score,
+        length:     st.players[0].snake.length,
+        durationMs: st.time,
+        cause:      e.cause,
+        powerups:   gs.runPowerups.slice(),
+        mushrooms:  { ...gs.runMushrooms },
+        bestCombo:  st.players[0].bestMult,
+    };
+    report({ type: 'runFinished', run });
+}
 
-        // Grow: duplicate tail segment with same prev so it appears in place
-        const tail = snake[snake.length-1];
-        snake.push({ x:tail.x, y:tail.y, px:tail.px, py:tail.py });
+/** Died or ended: keep the replay, bank the ghost, then show the summary. */
+function endRun(e) {
+    // A replay just stops on its final frame; the bar stays up for scrubbing
+    if (gs.phase === 'replay') return;
 
-        placeFood();
+    gs.phase = 'dead';
+    gs.lastReplay = gs.recorder.finish(gs.engine.state);
+
+    if (e.cause === 'round') tallyRound(e.winner);
+    else if (!gs.assisted) saveRun(e);
+    if (gs.dailyRun && !gs.assisted) finishDailyAttempt(e.score);
+    // Bank achievement progress; an assisted run's counts are dropped
+    if (gs.achievements) {
+        const keep = countsForAchievements();
+        if (keep) checkAchievements();
+        const data = gs.achievements.endRun(keep);
+        if (keep) report({ type: 'achievementsProgressed', achievements: data });
     }
 
-    // 8. Check power-up collection
-    if (gs.powerup && snake[0].x === gs.powerup.x && snake[0].y === gs.powerup.y) {
-        collectPowerup(performance.now());
+    // Bank the run's best score once, now it's over
+    const { mode, difficulty } = gs.engine.state;
+    const solo = !isVersus(mode) && !gs.assisted;
+    if (solo && gs.best > gs.runBest) saveBest(bestBucket(mode, difficulty), gs.best);
+
+    // A new personal best becomes the ghost for every run after this one
+    const newBest = solo && e.score > gs.runBest;
+    if (newBest) {
+        gs.ghostReplay = gs.lastReplay;
+        saveGhost(bestBucket(mode, difficulty), gs.lastReplay);
     }
+
+    const [title, msg, btn = 'Try Again 🍄'] = runSummary(e, newBest);
+    setTimeout(() => {
+        if (gs.phase !== 'dead') return;
+        showOverlay(title, msg, btn);
+    }, 620);
 }
 
-function die() {
-    gs.phase = 'dead';
-    gs.activePowers    = [];
-    gs.speedMultiplier = 1;
-    gs.powerup         = null;
-    const head = gs.snake[0];
-    spawnBurst(head.x*CELL+CELL/2, head.y*CELL+CELL/2, 35);
+function onDied(e) {
+    const [cx, cy] = cellCenter(e.x, e.y);
+    DreamyAudio.play('death');
+    spawnBurst(cx, cy, 35);
 
     canvasWrap.classList.remove('shaking');
     void canvasWrap.offsetWidth;
     canvasWrap.classList.add('shaking');
     setTimeout(() => canvasWrap.classList.remove('shaking'), 480);
 
-    setTimeout(() => showOverlay(
-        '💔 Oh No! 💔',
-        `Score: ${gs.score}${gs.score > 0 ? ' — great run! 🌸' : ' — try again! ✨'}`,
-        'Try Again 🍄'
-    ), 620);
+    // Versus rounds end on the 'ended' event once every crash is in
+    if (!isVersus(gs.engine.state.mode)) endRun(e);
+}
+
+/** Time ran out, the Zen session was ended or a Versus round is decided: a happy burst, no shake. */
+function onEnded(e) {
+    const { x, y } = Number.isInteger(e.winner) ? gs.engine.state.players[e.winner].snake[0] : e;
+    const [cx, cy] = cellCenter(x, y);
+    spawnBurst(cx, cy, 24);
+    endRun(e);
+}
+
+const ENGINE_HANDLERS = {
+    ate:              onAte,
+    multUp:           onMultUp,
+    goldenSpawned:    onGoldenSpawned,
+    foodWithered:     onFoodWithered,
+    trimmed:          onTrimmed,
+    obstacleAdded:    onObstacleAdded,
+    powerupDespawned: onPowerupDespawned,
+    powerupCollected: onPowerupCollected,
+    comboStarted:     onComboStarted,
+    hazardEaten:      onHazardEaten,
+    hazardDespawned:  onHazardDespawned,
+    absorbed:         onAbsorbed,
+    shrunk:           onShrunk,
+    died:             onDied,
+    ended:            onEnded,
+};
+
+function dispatch(ev) {
+    const fn = ENGINE_HANDLERS[ev.type];
+    if (fn) fn(ev);
+}
+
+/**
+ * Board, pace, mode and twist for the next run. The Daily Garden ignores
+ * the garden and pace pickers: everyone gets the same board that day.
+ */
+function runSettings() {
+    if (!isDaily(gs.mode)) return { level: gs.level, difficulty: gs.difficulty, mode: gs.mode, twist: null };
+    return { level: DreamyLevels.get('classic'), difficulty: DreamyDaily.DIFFICULTY, mode: gs.mode, twist: DreamyDaily.today().twist };
+}
+
+/** Build a fresh engine and wire the renderer to its events. */
+function newEngine(seed) {
+    const eng = DreamyEngine.create({ seed, ...runSettings() });
+    for (const type of Object.keys(ENGINE_HANDLERS)) eng.on(type, ENGINE_HANDLERS[type]);
+    for (const type of DreamyAchievements.EVENTS) eng.on(type, trackAchievement);
+    return eng;
 }
 
 function startGame() {
     hideOverlay();
+    exitReplay();
+    if (isVersus(gs.mode)) {
+        if (!gs.match || gs.match.done) gs.match = { bestOf: gs.bestOf, round: 0, wins: [0, 0], done: false };
+        gs.match.round++;
+    }
+    // Race the personal best on its own seeded board when it was set on this
+    // level. The Daily Garden's board is the day's, so it has no ghost.
+    const daily   = isDaily(gs.mode) ? DreamyDaily.today() : null;
+    const ghost   = !daily && gs.ghostReplay && DreamyLevels.sameBoard(gs.ghostReplay.level, gs.level) ? gs.ghostReplay : null;
+    const seed    = daily ? daily.seed : ghost ? ghost.seed : newSeed();
     gs.phase      = 'playing';
-    gs.snake      = buildSnake();
-    gs.dir        = {x:1,y:0};
-    gs.nextDir    = {x:1,y:0};
-    gs.score      = 0;
+    gs.engine     = newEngine(seed);
+    gs.recorder   = DreamyReplay.createRecorder({ seed, ...runSettings() });
+    gs.ghost      = ghost ? DreamyReplay.createPlayer(ghost) : null;
+    gs.runBest    = gs.best;
+    gs.assisted   = gs.autopilot;
+    gs.runPowerups = [];
+    gs.runMushrooms = {};
+    // An assisted run is only ever practice: the scored attempt is the player's
+    gs.dailyRun   = daily && !gs.assisted && !dailyDone() ? daily.day : null;
+    if (gs.dailyRun) startDailyAttempt(daily.day);
+    if (daily) {
+        const twist = TWISTS[daily.twist];
+        spawnFloat(SIZE / 2, SIZE / 2, `${twist.icon} ${twist.label}`, '#fde68a');
+    }
+    gs.demo       = null;
     gs.particles  = [];
     gs.floatTexts = [];
-    gs.dirLocked  = false;
-    gs.lastTick   = performance.now();
-    gs.powerup        = null;
-    gs.activePowers   = [];
-    gs.lastPowerSpawn = 0;
-    gs.speedMultiplier = 1;
-    elScore.textContent = '0';
-    placeFood();
+    showScoreboard(gs.engine);
 }
 
-// ─── Input ──────────────────────────────────────────────────────────────────
+function pauseGame() {
+    gs.phase = 'paused';
+    // Turns queued before the pause would fire unseen on resume
+    if (gs.engine.state.players.some(p => p.turns.length)) {
+        gs.engine.clearTurns();
+        gs.recorder.recordClear(gs.engine.state.tick);
+    }
+    DreamyAudio.play('pause');
+    showOverlay('⏸ Paused 🌸',`Your garden is waiting… (${modeName(gs.mode)}, ${difficultyName(gs.engine.state.difficulty)})`,'Continue ✨');
+}
+
+function resumeGame() {
+    hideOverlay();
+    gs.phase = 'playing';
+    DreamyAudio.play('resume');
+}
 
-function keyToDir(k) {
-    if (k==='ArrowRight'||k==='d'||k==='D') return {x: 1,y: 0};
-    if (k==='ArrowLeft' ||k==='a'||k==='A') return {x:-1,y: 0};
-    if (k==='ArrowUp'   ||k==='w'||k==='W') return {x: 0,y:-1};
-    if (k==='ArrowDown' ||k==='s'||k==='S') return {x: 0,y: 1};
-    return null;
+function findLevel(id) {
+    if (id === 'draft') return gs.draftLevel;
+    if (id === 'classic') return DreamyLevels.openGarden(gs.gridSize);
+    return DreamyLevels.get(id) || gs.customLevels.find(l => l.id === id) || null;
 }
 
-document.addEventListener('keydown', e => {
-    const { phase, dir } = gs;
+function selectLevel(level) {
+    gs.level = level;
+    if (level.id && level.id !== 'draft') saveLevelId(level.id);
+    if (gs.phase === 'idle' || gs.phase === 'dead') gs.engine = newEngine(newSeed());
+}
+
+function difficultyName(id) {
+    const d = DIFFICULTIES[id];
+    return `${d.icon} ${d.label}`;
+}
+
+function modeName(id) {
+    const m = MODES[id];
+    return `${m.icon} ${m.label}`;
+}
+
+function isVersus(id) {
+    return MODES[id].players > 1;
+}
 
-    if ((e.key==='Enter'||e.key===' ') && phase!=='playing' && phase!=='paused') {
-        e.preventDefault(); startGame(); return;
+function isDaily(id) {
+    return id === 'daily';
+}
+
+/** Versus: a round with a winner scores; first past half of N takes the match. */
+function tallyRound(winner) {
+    const m = gs.match;
+    if (winner !== null) m.wins[winner]++;
+    m.done = m.wins.some(w => w > m.bestOf / 2);
+    showScoreboard(gs.engine);
+}
+
+/**
+ * Lay out the score strip for the engine on screen: Score + Best, or in
+ * Versus one box per caterpillar plus the match tally.
+ */
+function showScoreboard(eng) {
+    const { mode, players } = eng.state;
+    const versus = isVersus(mode);
+    elP2Box.hidden         = !versus;
+    elScoreLbl.textContent = versus ? '🟣 P1' : 'Score';
+    elBestLbl.textContent  = versus ? 'Match' : 'Best';
+    elScore.textContent    = players[0].score;
+    if (versus) elScoreP2.textContent = players[1].score;
+    elBest.textContent     = !versus ? gs.best : gs.match && gs.phase !== 'replay' ? `${gs.match.wins[0]}–${gs.match.wins[1]}` : '–';
+}
+
+/** The Best box and the ghost follow the mode + difficulty bucket. */
+function loadBucket() {
+    const bucket   = bestBucket(gs.mode, runSettings().difficulty);
+    gs.best        = loadBest(bucket);
+    gs.ghostReplay = loadGhost(bucket);
+    if (gs.phase === 'idle' || gs.phase === 'dead') gs.engine = newEngine(newSeed());
+    if (gs.phase !== 'replay') showScoreboard(gs.engine);
+}
+
+function selectDifficulty(id) {
+    gs.difficulty = id;
+    saveDifficulty(id);
+    loadBucket();
+}
+
+function selectMode(id) {
+    gs.mode  = id;
+    gs.match = null;
+    saveMode(id);
+    loadBucket();
+    if (gs.phase === 'idle') {
+        elMsg.textContent = withKeys(MODE_BLURBS[id]);
+        elBtn.textContent = startLabel();
     }
-    if ((e.key==='p'||e.key==='P'||e.key==='Escape') && phase==='playing') {
-        e.preventDefault();
-        gs.phase = 'paused';
-        showOverlay('⏸ Paused 🌸','Your garden is waiting…','Continue ✨');
-        return;
+    elRoundsRow.hidden = !isVersus(id);
+    elLevelRow.hidden = elDiffRow.hidden = isDaily(id);
+    showDailyStatus();
+}
+
+function fillSelect(el, ids, name, value) {
+    el.textContent = '';
+    for (const id of ids) {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = name(id);
+        el.appendChild(opt);
     }
-    if ((e.key==='p'||e.key==='P'||e.key==='Escape'||e.key===' ') && phase==='paused') {
-        e.preventDefault();
-        hideOverlay();
-        gs.phase = 'playing';
-        gs.lastTick = performance.now();
-        return;
+    el.value = value;
+}
+
+function addLevelOptions(parent, levels) {
+    for (const level of levels) {
+        const opt = document.createElement('option');
+        opt.value = level.id;
+        opt.textContent = level.name;
+        parent.appendChild(opt);
+    }
+}
+
+function fillLevelSelect() {
+    elLevel.textContent = '';
+    if (gs.draftLevel) addLevelOptions(elLevel, [{ id: 'draft', name: `✏️ ${gs.draftLevel.name} (test)` }]);
+    addLevelOptions(elLevel, DreamyLevels.BUILT_IN);
+    if (gs.customLevels.length) {
+        const group = document.createElement('optgroup');
+        group.label = 'Your gardens';
+        addLevelOptions(group, gs.customLevels);
+        elLevel.appendChild(group);
+    }
+    elLevel.value = gs.level.id || '';
+}
+
+/** Saved editor levels; bad entries are skipped rather than breaking the list. */
+async function loadCustomLevels() {
+    const { customLevels } = await chrome.storage.local.get('customLevels');
+    gs.customLevels = (customLevels || []).flatMap(l => {
+        try { return [DreamyLevels.validate(l)]; } catch { return []; }
+    });
+}
+
+/** The editor's "Test play" opens newtab.html?play&level=draft */
+async function loadDraftLevel() {
+    const { levelDraft } = await chrome.storage.local.get('levelDraft');
+    try { return { ...DreamyLevels.validate(levelDraft), id: 'draft' }; } catch { return null; }
+}
+
+elDiff.addEventListener('change', () => {
+    if (DIFFICULTY_ORDER.includes(elDiff.value)) selectDifficulty(elDiff.value);
+});
+
+elMode.addEventListener('change', () => {
+    if (MODE_ORDER.includes(elMode.value)) selectMode(elMode.value);
+});
+
+elRounds.addEventListener('change', () => {
+    const n = +elRounds.value;
+    if (!ROUND_CHOICES.includes(n)) return;
+    gs.bestOf = n;
+    gs.match  = null;   // a new length starts a fresh match
+    saveRounds(n);
+    if (gs.phase !== 'replay') showScoreboard(gs.engine);
+});
+
+elEndRun.addEventListener('click', () => {
+    if (gs.phase !== 'paused') return;
+    hideOverlay();
+    gs.phase = 'playing';
+    gs.engine.quit();
+});
+
+elLevel.addEventListener('change', () => {
+    const level = findLevel(elLevel.value);
+    if (level) selectLevel(level);
+});
+
+/** Open Garden size picked in the popup (15, 20, 30 or 40 cells). */
+async function loadGridSize() {
+    const { gridSize } = await chrome.storage.local.get('gridSize');
+    return GRID_SIZES.includes(gridSize) ? gridSize : GRID;
+}
+
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local') return;
+    if (changes.gridSize) {
+        gs.gridSize = await loadGridSize();
+        // A run in progress keeps its board; the new size applies from the next one
+        if (gs.level.id === 'classic') selectLevel(findLevel('classic'));
+    }
+    if (changes.customLevels) {
+        await loadCustomLevels();
+        fillLevelSelect();
+    }
+    if (changes.dpad) loadDpadSetting();
+    if (changes.audio) DreamyAudio.setMixer(changes.audio.newValue);
+    if (changes.dailyGarden) {
+        gs.daily = DreamyDaily.sanitize(changes.dailyGarden.newValue);
+        if (gs.phase === 'idle' || gs.phase === 'dead') showDailyStatus();
+    }
+    if (changes.achievements && gs.achievements) gs.achievements.absorb(changes.achievements.newValue);
+    // A best set in another tab
+    if (changes.bestScores && changes.bestScores.newValue) {
+        gs.bests = changes.bestScores.newValue;
+        if (gs.phase === 'idle' || gs.phase === 'dead') {
+            gs.best = loadBest(bestBucket(gs.mode, runSettings().difficulty));
+            showScoreboard(gs.engine);
+        }
+    }
+    if (changes.keyBindings) {
+        gs.bindings = await DreamyBindings.load();
+        showBindingHints();
+    }
+});
+
+/** Steer a live caterpillar, recording every accepted turn. */
+function steer(nd, player = 0) {
+    const tick = gs.engine.state.tick;
+    if (gs.engine.input(nd, player)) gs.recorder.record(tick, nd, player);
+}
+
+// ─── Daily Garden ────────────────────────────────────────────────────────────
+
+/** Has today's scored attempt been used (or started)? */
+function dailyDone() {
+    return DreamyDaily.today().day in gs.daily.scores;
+}
+
+/** The record is updated here straight away; the background's reply confirms it. */
+function startDailyAttempt(day) {
+    gs.daily.scores[day] = 0;
+    report({ type: 'dailyStarted', day }).then(takeDaily);
+}
+
+function finishDailyAttempt(score) {
+    gs.daily.scores[gs.dailyRun] = score;
+    report({ type: 'dailyFinished', day: gs.dailyRun, score }).then(takeDaily);
+}
+
+function takeDaily(data) {
+    if (data && data.scores) gs.daily = DreamyDaily.sanitize(data);
+}
+
+function dailyStreak() {
+    return DreamyDaily.streak(gs.daily.scores, DreamyDaily.today().day);
+}
+
+/** End-of-run overlay [title, message, button] for the Daily Garden. */
+function dailySummary(e) {
+    const today  = DreamyDaily.today().day;
+    const streak = dailyStreak();
+    if (gs.dailyRun && gs.assisted) {
+        return ['📅 Daily Garden Forfeit 📅', 'The autopilot took over, so today’s scored attempt stays at 0. Practise all you like 🌱', 'Practise 🌱'];
+    }
+    if (gs.dailyRun) {
+        return ['📅 Daily Garden Done! 📅', `Today’s score: ${e.score}. ${streak > 1 ? `🔥 ${streak}-day streak!` : 'Come back tomorrow to start a streak 🌱'}`, 'Practise 🌱'];
+    }
+    if (!(today in gs.daily.scores)) {
+        return ['🌱 Practice Run 🌱', `Score: ${e.score} — the autopilot helped, so it was practice. Today’s scored run is still waiting.`, 'Play Today’s Garden 📅'];
+    }
+    return ['🌱 Practice Run 🌱', `Score: ${e.score} — your scored run today was ${gs.daily.scores[today]}.`, 'Practise Again 🌱'];
+}
+
+/**
+ * Whether today's challenge is done, on every start and end screen; in
+ * Daily Garden mode also the last four weeks as a calendar of scores.
+ */
+function showDailyStatus() {
+    const { day, twist } = DreamyDaily.today();
+    const tw     = TWISTS[twist];
+    const score  = gs.daily.scores[day];
+    const streak = dailyStreak();
+    const show   = gs.phase === 'idle' || gs.phase === 'dead';
+    elDaily.hidden = !show;
+    elDaily.textContent = score === undefined
+        ? `📅 Today’s Daily Garden is waiting — ${tw.icon} ${tw.label}: ${tw.desc}`
+        : `📅 Daily Garden done today: ${score}${streak > 1 ? ` · 🔥 ${streak}-day streak` : ''}`;
+
+    elCalendar.hidden = !show || !isDaily(gs.mode);
+    if (elCalendar.hidden) return;
+    elCalendar.textContent = '';
+    for (const { day: d, score: sc } of DreamyDaily.calendar(gs.daily.scores, day)) {
+        const cell = document.createElement('span');
+        cell.className = 'daily-day' + (sc !== null ? ' played' : '') + (d === day ? ' today' : '');
+        cell.textContent = sc !== null ? String(sc) : String(+d.slice(8));
+        cell.title = sc !== null ? `${d}: ${sc}` : `${d}: not played`;
+        elCalendar.appendChild(cell);
+    }
+    const longest = Math.max(gs.daily.bestStreak, streak);
+    const best = document.createElement('span');
+    best.className = 'daily-best';
+    best.textContent = `Best streak: ${longest} day${longest === 1 ? '' : 's'}`;
+    elCalendar.appendChild(best);
+}
+
+// ─── Achievements ────────────────────────────────────────────────────────────
+
+/** Solo runs the player steered themselves; Versus and autopilot runs don't count. */
+function countsForAchievements() {
+    return !!gs.achievements && !gs.assisted && !isVersus(gs.engine.state.mode);
+}
+
+function trackAchievement(e) {
+    if (gs.phase === 'playing' && countsForAchievements()) gs.achievements.observe(e);
+}
+
+/** After each tick: save and announce anything just unlocked. */
+function checkAchievements() {
+    const unlocked = gs.achievements.check(gs.engine.state);
+    if (!unlocked.length) return;
+    report({ type: 'achievementsProgressed', achievements: gs.achievements.data });
+    for (const a of unlocked) gs.toasts.push({ a, age: 0 });
+}
+
+/**
+ * The oldest pending unlock, as a banner near the top of the board. Like
+ * the score floats it drifts upwards and fades, after dropping in.
+ */
+function drawAchievementToast() {
+    const toast = gs.toasts[0];
+    if (!toast) return;
+    if (toast.age === 0) {
+        DreamyAudio.play('achievement');
+        spawnBurst(SIZE / 2, ui(70), 20);
+    }
+    const t     = ++toast.age;
+    const drop  = Math.min(1, t / 15);
+    const fade  = Math.min(1, (TOAST_FRAMES - t) / 40);
+    const title = `${toast.a.icon} ${toast.a.name}`;
+    const y     = ui(44) + ui(16) * (1 - drop) - ui(10) * Math.max(0, 1 - fade);
+
+    ctx.font = `bold ${ui(15)}px system-ui`;
+    const w = Math.max(ctx.measureText(title).width, ui(150)) + ui(32);
+    ctx.globalAlpha = drop * fade;
+    ctx.fillStyle = 'rgba(30, 10, 40, 0.72)';
+    ctx.beginPath();
+    ctx.roundRect((SIZE - w) / 2, y, w, ui(50), ui(12));
+    ctx.fill();
+    ctx.strokeStyle = rgba('#facc15', 0.6 + 0.3 * Math.sin(gs.frame * 0.15));
+    ctx.lineWidth = ui(1.5);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${ui(9)}px system-ui`;
+    ctx.fillStyle = '#fde68a';
+    ctx.fillText('🏆 ACHIEVEMENT UNLOCKED', SIZE / 2, y + ui(17));
+    ctx.font = `bold ${ui(15)}px system-ui`;
+    ctx.fillStyle = '#fdf4ff';
+    ctx.fillText(title, SIZE / 2, y + ui(38));
+    ctx.globalAlpha = 1;
+
+    if (t >= TOAST_FRAMES) gs.toasts.shift();
+}
+
+// ─── Autopilot ───────────────────────────────────────────────────────────────
+
+/** In Versus the autopilot takes player two, so one person can play the AI. */
+function autoPlayer() {
+    return isVersus(gs.engine.state.mode) ? 1 : 0;
+}
+
+/**
+ * Let the AI pick this tick's turn. It goes through `turn` — steer() for a
+ * live run — exactly like a key press, reversal guard and all.
+ */
+function autoSteer(eng, player, turn) {
+    if (eng.state.players[player].turns.length) return;
+    const nd = DreamyAutopilot.choose(eng, player);
+    if (nd) turn(nd, player);
+}
+
+function toggleAutopilot() {
+    gs.autopilot = !gs.autopilot;
+    const live = gs.phase === 'playing' || gs.phase === 'paused';
+    if (gs.autopilot && live) gs.assisted = true;
+    // Help during the scored Daily Garden attempt forfeits it (see endRun)
+    const note = gs.autopilot && live && gs.dailyRun ? ' · daily attempt forfeit' : '';
+    spawnFloat(SIZE / 2, SIZE / 2, gs.autopilot ? `🤖 Autopilot on${note}` : '🤖 Autopilot off', '#7dd3fc');
+}
+
+/**
+ * Attract demo: while the start screen is up the autopilot plays the chosen
+ * garden, mode and pace on its own engine, starting over whenever it ends.
+ * It has no listeners, so scores and bests are never touched.
+ */
+function updateDemo(dt) {
+    const d   = gs.demo;
+    const run = runSettings();
+    if (!d || d.state.phase !== 'playing' || ['level', 'mode', 'difficulty', 'twist'].some(k => d.state[k] !== run[k])) {
+        gs.demo = DreamyEngine.create({ seed: newSeed(), ...run });
+    }
+    const eng = gs.demo;
+    eng.state.players.forEach((_, i) => autoSteer(eng, i, (nd, player) => eng.input(nd, player)));
+    for (const ev of eng.update(dt)) {
+        if (ev.type === 'ate') spawnBurst(...cellCenter(ev.x, ev.y), 10);
     }
-    if (e.key===' ' && phase==='playing') {
-        e.preventDefault();
-        gs.phase = 'paused';
-        showOverlay('⏸ Paused 🌸','Your garden is waiting…','Continue ✨');
+}
+
+// ─── Replays ─────────────────────────────────────────────────────────────────
+
+function startReplay(replay) {
+    hideOverlay();
+    gs.phase      = 'replay';
+    gs.ghost      = null;
+    gs.player     = DreamyReplay.createPlayer(replay);
+    gs.engine     = gs.player.engine;
+    gs.particles  = [];
+    gs.floatTexts = [];
+    showScoreboard(gs.engine);
+    elRScrub.max   = String(replay.ticks);
+    elRSpeed.value = '1';
+    elReplayBar.hidden = false;
+    updateReplayBar();
+}
+
+function exitReplay() {
+    if (!gs.player) return;
+    gs.player = null;
+    elReplayBar.hidden = true;
+}
+
+/** Leave playback and go back to the start screen. */
+function closeReplay() {
+    exitReplay();
+    gs.phase  = 'idle';
+    gs.ghost  = null;
+    gs.engine = newEngine(newSeed());
+    showScoreboard(gs.engine);
+    showStartOverlay();
+}
+
+function toggleReplayPause() {
+    const p = gs.player;
+    if (p.ended()) { p.seek(0); p.setPaused(false); syncReplayView(); }
+    else p.setPaused(!p.paused);
+    updateReplayBar();
+}
+
+/** After a seek: adopt the (possibly rebuilt) engine and drop stale effects. */
+function syncReplayView() {
+    gs.engine     = gs.player.engine;
+    gs.particles  = [];
+    gs.floatTexts = [];
+    showScoreboard(gs.engine);
+}
+
+function updateReplayBar() {
+    const p = gs.player;
+    elRPlay.textContent = p.paused || p.ended() ? '▶' : '⏸';
+    elRPlay.setAttribute('aria-label', p.paused || p.ended() ? 'Play replay' : 'Pause replay');
+    elRScrub.value = String(p.tick);
+    elRTime.textContent = `${p.tick} / ${p.length}`;
+}
+
+function saveReplayFile(replay) {
+    const blob = new Blob([DreamyReplay.stringify(replay)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = `dreamy-garden-replay-${replay.score}-${replay.recordedAt.slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function loadReplayFile(file) {
+    try {
+        startReplay(DreamyReplay.parse(await file.text()));
+    } catch (err) {
+        showOverlay('🥀 Replay Trouble', err.message, gs.phase === 'dead' ? 'Try Again 🍄' : 'Start Dreaming ✨');
+    }
+}
+
+elWatch.addEventListener('click', () => { if (gs.lastReplay) startReplay(gs.lastReplay); });
+elSave.addEventListener('click',  () => { if (gs.lastReplay) saveReplayFile(gs.lastReplay); });
+elLoad.addEventListener('click',  () => elFile.click());
+elFile.addEventListener('change', () => {
+    const file = elFile.files[0];
+    elFile.value = '';
+    if (file) loadReplayFile(file);
+});
+
+elRPlay.addEventListener('click', toggleReplayPause);
+elRExit.addEventListener('click', closeReplay);
+elRSpeed.addEventListener('change', () => gs.player.setSpeed(+elRSpeed.value));
+elRScrub.addEventListener('input', () => {
+    gs.player.seek(+elRScrub.value);
+    syncReplayView();
+    updateReplayBar();
+});
+
+// ─── Input ──────────────────────────────────────────────────────────────────
+
+/** A set of four movement keys as one hint, e.g. "WASD" or "↑←↓→". */
+function moveKeys(suffix = '') {
+    return ['up', 'left', 'down', 'right'].map(a => DreamyBindings.label(gs.bindings[a + suffix])).join('');
+}
+
+/** Pause keys for hints: the bound one, plus Space while it's free. */
+function pauseKeys() {
+    const keys = [gs.bindings.pause];
+    if (!DreamyBindings.actionFor(gs.bindings, ' ')) keys.push(' ');
+    return keys.map(DreamyBindings.label).join(' / ');
+}
+
+/** Fill the key names into a hint, e.g. MODE_BLURBS.versus. */
+function withKeys(text) {
+    return text.replace('{move1}', moveKeys()).replace('{move2}', moveKeys('2'));
+}
+
+/** Rewrite the footer and overlay hints for the current bindings. */
+function showBindingHints() {
+    const L = DreamyBindings.label;
+    const b = gs.bindings;
+    const parts = [
+        `${moveKeys('2')} / ${moveKeys()} move`,
+        `${pauseKeys()} pause`,
+        `${L(b.restart)} start`,
+        `${L(b.autopilot)} autopilot`,
+        'Swipe / 🎮 gamepad',
+    ];
+    elFooter.textContent = '';
+    parts.forEach((text, i) => {
+        if (i) elFooter.appendChild(Object.assign(document.createElement('span'), { textContent: '·' }));
+        elFooter.appendChild(Object.assign(document.createElement('span'), { textContent: text }));
+    });
+    const dot = '\u00a0·\u00a0';
+    elControls.textContent = `${moveKeys('2')} / ${moveKeys()} / Swipe / 🎮${dot}${pauseKeys()} to Pause${dot}${L(b.autopilot)} for Autopilot`;
+    if (gs.phase === 'idle') elMsg.textContent = withKeys(MODE_BLURBS[gs.mode]);
+}
+
+/** Let form controls keep their own keys (Space opens a select, etc.). */
+function isFormField(t) {
+    return t && (t.tagName === 'SELECT' || t.tagName === 'INPUT');
+}
+
+// Every device sends the same three commands: the keyboard below, touch,
+// the D-pad and gamepads through input.js. Turns all end in steer(), so the
+// engine's turn queue and reversal guard treat them alike.
+
+/** Turn a caterpillar, if a run is live and the autopilot isn't driving it. */
+function inputTurn(nd, player = 0) {
+    if (gs.phase !== 'playing') return;
+    if (!isVersus(gs.engine.state.mode)) player = 0;
+    if (gs.autopilot && player === autoPlayer()) return;
+    steer(nd, player);
+}
+
+/** Pause or resume the run, or the replay being watched. */
+function inputPause() {
+    if (gs.phase === 'replay') toggleReplayPause();
+    else if (gs.phase === 'playing') pauseGame();
+    else if (gs.phase === 'paused') resumeGame();
+}
+
+/** Start, restart or continue: whatever the overlay button says. */
+function inputConfirm() {
+    if (gs.phase === 'playing' || gs.phase === 'replay') return;
+    if (gs.phase === 'paused') resumeGame();
+    else startGame();
+}
+
+// Keys go through the bindings (bindings.js). Space and Esc keep working
+// as pause/start and back-out keys for as long as they aren't bound.
+document.addEventListener('keydown', e => {
+    const { phase } = gs;
+    const k = e.key;
+    if (isFormField(e.target) && k !== 'Escape') return;
+    const live   = phase === 'playing' || phase === 'paused' || phase === 'replay';
+    const action = DreamyBindings.actionFor(gs.bindings, k);
+
+    if (!action) {
+        if (k==='Escape' && phase==='replay') { e.preventDefault(); closeReplay(); }
+        else if (k==='Escape' && live) { e.preventDefault(); inputPause(); }
+        else if (k===' ') { e.preventDefault(); if (live) inputPause(); else inputConfirm(); }
         return;
     }
+    if (action === 'pause')     { if (live) { e.preventDefault(); inputPause(); } return; }
+    if (action === 'restart')   { e.preventDefault(); inputConfirm(); return; }
+    if (action === 'autopilot') { toggleAutopilot(); return; }
 
-    if (phase!=='playing' || gs.dirLocked) return;
-    const nd = keyToDir(e.key);
-    if (!nd) return;
-    if (nd.x !== 0 && nd.x === -dir.x) return;
-    if (nd.y !== 0 && nd.y === -dir.y) return;
+    const [code, player] = DreamyBindings.MOVES[action];
+    if (phase!=='playing') return;
     e.preventDefault();
-    gs.nextDir   = nd;
-    gs.dirLocked = true;
+    inputTurn(DIRS[code], player);
 });
 
-elBtn.addEventListener('click', () => {
-    if (gs.phase==='paused') {
-        hideOverlay(); gs.phase='playing'; gs.lastTick=performance.now();
-    } else { startGame(); }
+elBtn.addEventListener('click', inputConfirm);
+
+const devices = DreamyInput.attach({
+    surface: canvas,
+    dpad:    elDpad,
+    turn:    inputTurn,
+    pause:   inputPause,
+    confirm: inputConfirm,
 });
 
-// ─── Power-Up HUD ───────────────────────────────────────────────────────────
+/** On-screen D-pad: 'auto' shows it on touch screens, or force it 'on' / 'off'. */
+async function loadDpadSetting() {
+    const { dpad } = await chrome.storage.local.get('dpad');
+    const setting = dpad === 'on' || dpad === 'off' ? dpad : 'auto';
+    elDpad.hidden = setting === 'off' || (setting === 'auto' && !matchMedia('(any-pointer: coarse)').matches);
+}
 
-function drawPowerupHUD(ts) {
-    if (gs.activePowers.length === 0) return;
+// ─── Power-Up HUD ───────────────────────────────────────────────────────────
 
-    const barW = 60;
-    const barH = 6;
-    const rowH = 22;
-    const startX = 8;
-    const startY = 8;
+function drawPowerupHUD(now) {
+    const { activePowers, activeCombos, activeHazards } = gs.engine.state;
+    if (activePowers.length + activeCombos.length + activeHazards.length === 0) return;
+
+    // Sized against the 500px board and scaled with it, not with the cell
+    const barW = ui(60);
+    const barH = ui(6);
+    const rowH = ui(22);
+    const startX = ui(8);
+    const startY = ui(8);
+
+    // Power-ups, then hazards: a hazard's pill has a dashed warning edge
+    const timers = [
+        ...activePowers.map(pw => ({ def: POWERUP_TYPES[pw.type], expiresAt: pw.expiresAt })),
+        ...activeHazards.map(h => ({ def: HAZARD_TYPES[h.type], expiresAt: h.expiresAt, hazard: true })),
+    ];
 
-    for (let i = 0; i < gs.activePowers.length; i++) {
-        const pw = gs.activePowers[i];
-        const def = POWERUP_TYPES[pw.type];
-        const remaining = Math.max(0, pw.expiresAt - ts);
+    for (let i = 0; i < timers.length; i++) {
+        const { def, expiresAt, hazard } = timers[i];
+        const remaining = Math.max(0, expiresAt - now);
         const fraction = remaining / def.duration;
-        const y = startY + i * (rowH + 4);
+        const y = startY + i * (rowH + ui(4));
 
         // Background pill
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.fillStyle = hazard ? 'rgba(40, 0, 20, 0.55)' : 'rgba(0, 0, 0, 0.35)';
         ctx.beginPath();
-        ctx.roundRect(startX, y, barW + 34, rowH, 6);
+        ctx.roundRect(startX, y, barW + ui(34), rowH, ui(6));
         ctx.fill();
+        if (hazard) {
+            ctx.save();
+            ctx.setLineDash([ui(3), ui(3)]);
+            ctx.strokeStyle = rgba(def.color, 0.8);
+            ctx.lineWidth = ui(1.5);
+            ctx.stroke();
+            ctx.restore();
+        }
 
         // Icon
-        ctx.font = '12px system-ui';
+        ctx.font = `${ui(12)}px system-ui`;
         ctx.textAlign = 'left';
         ctx.fillStyle = def.color;
-        ctx.fillText(def.icon, startX + 4, y + 15);
+        ctx.fillText(def.icon, startX + ui(4), y + ui(15));
 
         // Label
-        ctx.font = 'bold 9px system-ui';
+        ctx.font = `bold ${ui(9)}px system-ui`;
         ctx.fillStyle = 'rgba(255,255,255,0.8)';
-        ctx.fillText(def.label, startX + 20, y + 14);
+        ctx.fillText(def.label, startX + ui(20), y + ui(14));
 
         // Timer bar background
-        const bx = startX + 20;
-        const by = y + rowH - barH - 2;
+        const bx = startX + ui(20);
+        const by = y + rowH - barH - ui(2);
         ctx.fillStyle = 'rgba(255,255,255,0.12)';
         ctx.beginPath();
-        ctx.roundRect(bx, by, barW, barH, 3);
+        ctx.roundRect(bx, by, barW, barH, ui(3));
         ctx.fill();
 
         // Timer bar fill (flashes when low)
@@ -933,66 +2107,249 @@ function drawPowerupHUD(ts) {
         if (fraction < 0.25) barAlpha = 0.5 + 0.5 * Math.sin(gs.frame * 0.3);
         ctx.fillStyle = rgba(def.color, 0.8 * barAlpha);
         ctx.beginPath();
-        ctx.roundRect(bx, by, barW * fraction, barH, 3);
+        ctx.roundRect(bx, by, barW * fraction, barH, ui(3));
         ctx.fill();
     }
+
+    // Combo badges under the bars, outlined in their parts' colours
+    activeCombos.forEach((c, i) => {
+        const combo = COMBOS[c];
+        const y = startY + (timers.length + i) * (rowH + ui(4));
+        const w = barW + ui(34);
+        const parts = combo.parts.map(id => POWERUP_TYPES.find(t => t.id === id).color);
+
+        ctx.fillStyle = rgba(combo.color, 0.22 + 0.08 * Math.sin(gs.frame * 0.15));
+        ctx.beginPath();
+        ctx.roundRect(startX, y, w, rowH, ui(6));
+        ctx.fill();
+        const edge = ctx.createLinearGradient(startX, 0, startX + w, 0);
+        parts.forEach((col, k) => edge.addColorStop(k / (parts.length - 1), col));
+        ctx.strokeStyle = edge;
+        ctx.lineWidth = ui(1.5);
+        ctx.stroke();
+
+        ctx.font = `${ui(12)}px system-ui`;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = combo.color;
+        ctx.fillText(combo.icon, startX + ui(4), y + ui(15));
+        ctx.font = `bold ${ui(9)}px system-ui`;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(combo.label, startX + ui(20), y + ui(14));
+    });
+}
+
+/** Score difference against the ghost at the same tick, top-right. */
+function drawGhostHUD() {
+    if (!gs.ghost) return;
+    const diff = gs.engine.state.players[0].score - gs.ghost.engine.state.players[0].score;
+    const text = `👻 ${diff > 0 ? '+' : ''}${diff} vs best`;
+
+    ctx.font = `bold ${ui(10)}px system-ui`;
+    const w = ctx.measureText(text).width + ui(16);
+    const x = SIZE - ui(8) - w;
+    const y = ui(8);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, ui(22), ui(6));
+    ctx.fill();
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = diff > 0 ? '#86efac' : diff < 0 ? '#fda4af' : 'rgba(255,255,255,0.8)';
+    ctx.fillText(text, x + ui(8), y + ui(15));
+}
+
+/**
+ * Score multiplier, beside the power-up bars: the current ×N and a bar
+ * draining until it drops a level. Hidden at ×1 and in Versus.
+ */
+function drawMultiplierHUD(now) {
+    const p = gs.engine.state.players[0];
+    if (p.mult < 2 || isVersus(gs.engine.state.mode) || gs.phase === 'idle') return;
+
+    const col = MULT_COLS[Math.min(p.mult, MULT_COLS.length) - 1];
+    const x = ui(8) + ui(94) + ui(6);   // right of the power-up pills
+    const y = ui(8);
+    const w = ui(58);
+    const h = ui(22);
+    const fraction = Math.max(0, Math.min(1, (p.multUntil - now) / MULT_WINDOW_MS));
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, h, ui(6));
+    ctx.fill();
+
+    ctx.font = `bold ${ui(12)}px system-ui`;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = col;
+    ctx.fillText(`×${p.mult}`, x + ui(6), y + ui(15));
+
+    // Draining bar, flashing in its last quarter
+    const bx = x + ui(30), by = y + ui(8), bw = w - ui(36), bh = ui(6);
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.beginPath();
+    ctx.roundRect(bx, by, bw, bh, ui(3));
+    ctx.fill();
+    const alpha = fraction < 0.25 ? 0.5 + 0.5 * Math.sin(gs.frame * 0.3) : 1;
+    ctx.fillStyle = rgba(col, 0.85 * alpha);
+    ctx.beginPath();
+    ctx.roundRect(bx, by, bw * fraction, bh, ui(3));
+    ctx.fill();
+}
+
+/** Time Attack countdown, top-centre; pulses red in the last 10 seconds. */
+function drawClockHUD() {
+    const left = gs.engine.timeLeft();
+    if (left === null || gs.phase === 'idle') return;
+    const text  = `⏱️ ${formatClock(left)}`;
+    const hurry = left < 10000;
+
+    ctx.font = `bold ${ui(12)}px system-ui`;
+    const w = ctx.measureText(text).width + ui(18);
+    const x = (SIZE - w) / 2;
+    const y = ui(8);
+
+    ctx.fillStyle = hurry ? rgba('#e84040', 0.35 + 0.2 * Math.sin(gs.frame * 0.3)) : 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, ui(24), ui(6));
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = hurry ? '#fecaca' : 'rgba(255,255,255,0.85)';
+    ctx.fillText(text, SIZE / 2, y + ui(16.5));
+}
+
+/** Autopilot badge, bottom-left, whenever the AI has the controls. */
+function drawAutopilotHUD() {
+    if (!gs.autopilot || gs.phase === 'idle' || gs.phase === 'replay') return;
+    const text = isVersus(gs.engine.state.mode) ? '🤖 Autopilot (P2)' : '🤖 Autopilot';
+
+    ctx.font = `bold ${ui(10)}px system-ui`;
+    const w = ctx.measureText(text).width + ui(16);
+    const x = ui(8);
+    const y = SIZE - ui(30);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, w, ui(22), ui(6));
+    ctx.fill();
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = rgba('#7dd3fc', 0.75 + 0.25 * Math.sin(gs.frame * 0.08));
+    ctx.fillText(text, x + ui(8), y + ui(15));
 }
 
 // ─── Game Loop ───────────────────────────────────────────────────────────────
 
 function gameLoop(ts) {
     gs.frame++;
-
-    // Power-up lifecycle
-    if (gs.phase === 'playing') {
-        trySpawnPowerup(ts);
-        updatePowerup(ts);
-        updateActivePowers(ts);
-    }
-
-    // Discrete movement tick (speed-multiplier aware)
-    const effMS = MOVE_MS * gs.speedMultiplier;
-    if (gs.phase === 'playing' && ts - gs.lastTick >= effMS) {
-        gs.lastTick = ts;
-        tick();
+    const dt = gs.lastFrame ? ts - gs.lastFrame : 0;
+    gs.lastFrame = ts;
+    devices.poll();
+
+    // Rules: the engine ticks itself when a step is due
+    let progress = 1;   // smooth interpolation factor (0→1 between ticks)
+    let now;
+    if (gs.phase === 'replay') {
+        const wasEnded = gs.player.ended();
+        gs.player.update(dt).forEach(dispatch);
+        gs.engine = gs.player.engine;
+        if (gs.frame % 6 === 0 || gs.player.ended() !== wasEnded) updateReplayBar();
+        progress = gs.player.progress();
+        now = gs.player.clock();
+    } else if (gs.phase === 'idle') {
+        updateDemo(dt);
+        progress = gs.demo.progress();
+        now = gs.demo.clock();
+    } else {
+        if (gs.phase === 'playing' && gs.autopilot) autoSteer(gs.engine, autoPlayer(), steer);
+        if (gs.phase === 'playing') {
+            const tick = gs.engine.state.tick;
+            gs.engine.update(dt);
+            // Every tick, not just on events: survival goals have no event
+            if (gs.phase === 'playing' && gs.engine.state.tick !== tick && countsForAchievements()) checkAchievements();
+        }
+        if (gs.phase === 'playing') progress = gs.engine.progress();
+        now = gs.engine.clock();
+        // The ghost moves in lockstep, tick for tick, with the live run
+        if (gs.ghost) gs.ghost.seek(gs.engine.state.tick);
     }
-
-    // Smooth interpolation factor (0→1 between ticks)
-    const progress = gs.phase === 'playing'
-        ? Math.min(1, (ts - gs.lastTick) / effMS)
-        : 1;
+    const eng = gs.phase === 'idle' ? gs.demo : gs.engine;
+    syncBoard(eng);
 
     updateParticles();
     updateFloats();
 
     // ── Draw ──
-    drawBoard();
+    drawBoard(eng.state);
     drawParticles();
 
-    // Food mushroom
-    const f = gs.food;
-    drawMushroom(f.x*CELL+CELL/2, f.y*CELL+CELL/2, f.mush, gs.frame);
+    // Food mushrooms, gliding when a magnet pulls them; spores blink before
+    // they wither, and a golden one has its time left as a ring
+    for (const f of eng.state.foods) {
+        const fx = lerp(f.px, f.x, progress)*CELL+CELL/2;
+        const fy = lerp(f.py, f.y, progress)*CELL+CELL/2;
+        if (MUSHROOM_TIERS[f.mush].id === 'golden') drawGoldenRing(fx, fy, (f.fadesAt - eng.clock()) / GOLDEN_MS);
+        if (f.fadesAt && f.fadesAt - eng.clock() < SPORE_BLINK_MS && Math.floor(gs.frame / 6) % 2 === 0) continue;
+        drawMushroom(fx, fy, f.mush, gs.frame);
+    }
+
+    // Power-up mushroom, chiming each second of its despawn blink
+    if (eng.state.powerup) {
+        const pu = eng.state.powerup;
+        const warn = Math.ceil((POWERUP_DESPAWN_MS - (now - pu.spawnedAt)) / 1000);
+        if (warn <= 3 && warn !== gs.warnSecond && gs.phase === 'playing') DreamyAudio.play('despawnWarn');
+        gs.warnSecond = warn;
+        drawPowerupMushroom(pu.x*CELL+CELL/2, pu.y*CELL+CELL/2, pu, gs.frame, now);
+    }
 
-    // Power-up mushroom
-    if (gs.powerup) {
-        const pu = gs.powerup;
-        drawPowerupMushroom(pu.x*CELL+CELL/2, pu.y*CELL+CELL/2, pu.type, gs.frame, ts);
+    if (eng.state.hazard) {
+        const hz = eng.state.hazard;
+        drawHazardMushroom(hz.x*CELL+CELL/2, hz.y*CELL+CELL/2, hz, gs.frame, now);
     }
 
-    if (gs.snake.length) drawSnake(progress);
+    if (gs.ghost && !gs.ghost.ended()) drawSnake(gs.ghost.engine, progress, GHOST_ALPHA);
+    eng.state.players.forEach((_, i) => drawSnake(eng, progress, 1, i));
     drawFloats();
-    drawPowerupHUD(ts);
+    drawPowerupHUD(now);
+    drawMultiplierHUD(now);
+    drawGhostHUD();
+    drawClockHUD();
+    drawAutopilotHUD();
+    drawAchievementToast();
 
     requestAnimationFrame(gameLoop);
 }
 
 // ─── Init ────────────────────────────────────────────────────────────────────
 
-function init() {
-    gs.best = loadBest();
-    elBest.textContent = gs.best;
+window.addEventListener('resize', fitCanvas);
+
+async function init() {
+    fitCanvas();
+    gs.gridSize = await loadGridSize();
+    await loadDpadSetting();
+    gs.bindings = await DreamyBindings.load();
+    showBindingHints();
+    const { audio } = await chrome.storage.local.get('audio');
+    DreamyAudio.init(audio);
+    await loadCustomLevels();
+    if (new URLSearchParams(location.search).get('level') === 'draft') gs.draftLevel = await loadDraftLevel();
+    gs.level  = gs.draftLevel || findLevel(loadLevelId()) || DreamyLevels.get('classic');
+    gs.bests  = await DreamyHistory.loadBests();
+    gs.achievements = DreamyAchievements.createTracker(await DreamyAchievements.load());
+    gs.daily  = await DreamyDaily.load();
+    gs.difficulty = loadDifficulty();
+    gs.mode       = loadMode();
+    gs.bestOf     = loadRounds();
+    loadBucket();
+    fillSelect(elDiff, DIFFICULTY_ORDER, difficultyName, gs.difficulty);
+    fillSelect(elMode, MODE_ORDER, modeName, gs.mode);
+    fillSelect(elRounds, ROUND_CHOICES, n => `Best of ${n}`, gs.bestOf);
+    fillLevelSelect();
     canvas.setAttribute('tabindex','0');
-    showOverlay('🍄 Dreamy Garden 🍄','Guide your fuzzy caterpillar and eat the mushrooms!','Start Dreaming ✨');
+    if (gs.draftLevel) showOverlay('✏️ Test Play ✏️',`Take “${gs.draftLevel.name}” for a spin!`,'Start Dreaming ✨');
+    else showStartOverlay();
     requestAnimationFrame(gameLoop);
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * history.js — Run history, play counters and best scores
+ *
+ * Shared by the background worker, which records every finished run and
+ * best score the game reports, the game, which reads its bests, and the
+ * popup, which reads it back for the stats panel. Everything lives in chrome.storage.local:
+ *
+ *   runHistory   the most recent runs, oldest first (see record())
+ *   gamesToday / gamesTotal / gamesDate      runs finished
+ *   playMsToday / playMsTotal / playMsDate   time spent playing
+ *   bestScores   { bucket: score }, the best per mode + difficulty
+ *   bestCombo    the highest score multiplier ever reached
+ *
+ * The today/total pairs are LoveSparkStats counters; each has its own
+ * date key so the two daily resets don't cancel each other out.
+ */
+
+'use strict';
+
+const DreamyHistory = (() => {
+    const MAX_RUNS = 500;       // older runs fall off; the counters keep the totals
+    const SPARK_RUNS = 30;      // recent scores drawn in the popup sparkline
+
+    const COUNTERS = {
+        games:  { today: 'gamesToday',  total: 'gamesTotal',  date: 'gamesDate' },
+        playMs: { today: 'playMsToday', total: 'playMsTotal', date: 'playMsDate' },
+    };
+    const accumulators = {};
+
+    function counter(name) {
+        const c = COUNTERS[name];
+        if (!accumulators[name]) accumulators[name] = LoveSparkStats.createAccumulator(c.today, c.total);
+        return accumulators[name];
+    }
+
+    /** Zero yesterday's today-counters. Call before reading or bumping them. */
+    async function resetDaily() {
+        for (const c of Object.values(COUNTERS)) await LoveSparkStats.checkDailyReset(c.today, c.date);
+    }
+
+    // ─── Runs ───────────────────────────────────────────────────────────────
+
+    /**
+     * Save one finished run and bump the counters.
+     * @param {object} run  { date (ISO), mode, difficulty, level (id|null),
+     *                        score, length, durationMs, cause, powerups: [id],
+     *                        mushrooms: { tier id: count eaten }, bestCombo }
+     *                      cause is the engine's: 'wall' | 'self' for a crash,
+     *                      'time' | 'quit' when the run ended without one
+     */
+    async function record(run) {
+        const { runHistory = [], bestCombo = 1 } = await chrome.storage.local.get(['runHistory', 'bestCombo']);
+        runHistory.push(run);
+        await chrome.storage.local.set({ runHistory: runHistory.slice(-MAX_RUNS) });
+        if (run.bestCombo > bestCombo) await chrome.storage.local.set({ bestCombo: run.bestCombo });
+        await resetDaily();
+        counter('games').bump(1);
+        counter('playMs').bump(Math.round(run.durationMs));
+    }
+
+    async function load() {
+        const { runHistory } = await chrome.storage.local.get('runHistory');
+        return Array.isArray(runHistory) ? runHistory : [];
+    }
+
+    /** Today and all-time counters: { gamesToday, gamesTotal, playMsToday, playMsTotal } */
+    async function counters() {
+        await resetDaily();
+        const keys = Object.values(COUNTERS).flatMap(c => [c.today, c.total]);
+        const data = await chrome.storage.local.get(keys);
+        return Object.fromEntries(keys.map(k => [k, data[k] || 0]));
+    }
+
+    /** The highest score multiplier ever reached, 1 before any. */
+    async function bestCombo() {
+        const { bestCombo = 1 } = await chrome.storage.local.get('bestCombo');
+        return bestCombo;
+    }
+
+    /** Both run lists in date order without repeats, capped at MAX_RUNS. */
+    function mergeRuns(a, b) {
+        const byKey = new Map();
+        for (const r of [...a, ...b]) byKey.set(`${r.date}|${r.score}|${r.durationMs}`, r);
+        return [...byKey.values()]
+            .sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : 0))
+            .slice(-MAX_RUNS);
+    }
+
+    /** Figures drawn from the saved runs for the stats panel. */
+    function summarize(runs) {
+        const scores = runs.map(r => r.score);
+        return {
+            runs:     runs.length,
+            avgScore: runs.length ? scores.reduce((a, b) => a + b, 0) / runs.length : 0,
+            topScore: runs.length ? Math.max(...scores) : 0,
+            recent:   scores.slice(-SPARK_RUNS),
+            last:     runs[runs.length - 1] || null,
+        };
+    }
+
+    // ─── Best scores ────────────────────────────────────────────────────────
+
+    /**
+     * One time only: bests used to be kept in localStorage as dg_best_<bucket>,
+     * and before difficulties as a single dg_best, which counts as Normal.
+     * Ghost replays (dg_best_replay_<bucket>) stay where they are.
+     */
+    function readLegacyBests() {
+        const bests = {};
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                const m = /^dg_best_(?!replay_)(.+)$/.exec(key);
+                if (m) bests[m[1]] = +localStorage.getItem(key) || 0;
+            }
+            const old = localStorage.getItem('dg_best');
+            if (old !== null && !('normal' in bests)) bests.normal = +old || 0;
+        } catch {}
+        return bests;
+    }
+
+    function clearLegacyBests(bests) {
+        try {
+            localStorage.removeItem('dg_best');
+            for (const bucket of Object.keys(bests)) localStorage.removeItem(`dg_best_${bucket}`);
+        } catch {}
+    }
+
+    /** { bucket: score }, migrating the localStorage bests on first use. */
+    async function loadBests() {
+        const { bestScores } = await chrome.storage.local.get('bestScores');
+        if (bestScores && typeof bestScores === 'object') return bestScores;
+        const migrated = readLegacyBests();
+        await chrome.storage.local.set({ bestScores: migrated });
+        clearLegacyBests(migrated);
+        return migrated;
+    }
+
+    /**
+     * Bank a score in its bucket if it beats the stored best. The background
+     * worker calls this; it has no localStorage, so nothing is migrated here.
+     * @returns {Promise<object>} the bests as stored now
+     */
+    async function saveBest(bucket, score) {
+        const { bestScores } = await chrome.storage.local.get('bestScores');
+        const bests = mergeBests(bestScores, { [bucket]: score });
+        await chrome.storage.local.set({ bestScores: bests });
+        return bests;
+    }
+
+    /** Every bucket of either set at its higher score. */
+    function mergeBests(a, b) {
+        const out = {};
+        for (const src of [a, b]) {
+            if (!src || typeof src !== 'object') continue;
+            for (const [bucket, score] of Object.entries(src)) {
+                if (Number.isFinite(score) && score > (out[bucket] || 0)) out[bucket] = score;
+            }
+        }
+        return out;
+    }
+
+    return { MAX_RUNS, SPARK_RUNS, record, load, counters, bestCombo, summarize, mergeRuns, loadBests, saveBest, mergeBests };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyHistory = DreamyHistory;
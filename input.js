@@ -0,0 +1,126 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * input.js — Touch swipes, the on-screen D-pad and gamepads
+ *
+ * Every device here is turned into the same three commands the keyboard
+ * sends, and handed to the host:
+ *
+ *   DreamyInput.attach({
+ *       surface,                       // element to swipe on (the canvas)
+ *       dpad,                          // container of [data-dir] buttons, optional
+ *       turn(dir, player) { … },      // dir is a DreamyEngine.DIRS entry
+ *       pause()   { … },              // pause / resume
+ *       confirm() { … },              // start, restart or continue
+ *   });
+ *
+ * The host routes those through its one input path, so the engine's
+ * turn queue and reversal guard apply to every device alike.
+ * Gamepads have no events for button presses; call poll() once a frame.
+ * Gamepad 0 steers player one and gamepad 1 player two.
+ */
+
+'use strict';
+
+const DreamyInput = (() => {
+    const SWIPE_MIN = 24;    // px of travel before a touch counts as a swipe
+    const DEADZONE  = 0.5;   // left stick: ignore anything closer to centre
+    const PAD = { A: 0, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+
+    const { DIRS } = DreamyEngine;
+
+    /** The dominant axis of a movement, as a direction code, or null. */
+    function dirOf(dx, dy, min) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < min) return null;
+        if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 'R' : 'L';
+        return dy > 0 ? 'D' : 'U';
+    }
+
+    // ─── Touch ──────────────────────────────────────────────────────────────
+
+    /**
+     * Swipes on `surface`. A turn fires as soon as the finger has travelled
+     * far enough, then measuring restarts from there, so one stroke can
+     * chain several turns without lifting.
+     */
+    function attachSwipe(surface, turn) {
+        let origin = null;
+
+        surface.addEventListener('touchstart', e => {
+            const t = e.changedTouches[0];
+            origin = { id: t.identifier, x: t.clientX, y: t.clientY };
+        }, { passive: true });
+
+        surface.addEventListener('touchmove', e => {
+            if (!origin) return;
+            const t = [...e.changedTouches].find(c => c.identifier === origin.id);
+            if (!t) return;
+            e.preventDefault();   // keep the page from scrolling mid-swipe
+            const code = dirOf(t.clientX - origin.x, t.clientY - origin.y, SWIPE_MIN);
+            if (!code) return;
+            origin.x = t.clientX;
+            origin.y = t.clientY;
+            turn(DIRS[code], 0);
+        }, { passive: false });
+
+        const end = () => { origin = null; };
+        surface.addEventListener('touchend', end);
+        surface.addEventListener('touchcancel', end);
+    }
+
+    /** On-screen D-pad: turn on pointerdown, no waiting for the click. */
+    function attachDpad(dpad, turn) {
+        dpad.addEventListener('pointerdown', e => {
+            const btn = e.target.closest('[data-dir]');
+            if (!btn || !DIRS[btn.dataset.dir]) return;
+            e.preventDefault();
+            turn(DIRS[btn.dataset.dir], 0);
+        });
+    }
+
+    // ─── Gamepads ───────────────────────────────────────────────────────────
+
+    /**
+     * Read every connected pad and fire commands on edges only: a held
+     * button or stick turns once, like a key press.
+     */
+    function createPadReader({ turn, pause, confirm }) {
+        const last = [];   // per pad: { dir, buttons: [] } from the previous poll
+
+        function padDir(pad) {
+            const held = i => pad.buttons[i] && pad.buttons[i].pressed;
+            if (held(PAD.UP))    return 'U';
+            if (held(PAD.DOWN))  return 'D';
+            if (held(PAD.LEFT))  return 'L';
+            if (held(PAD.RIGHT)) return 'R';
+            return dirOf(pad.axes[0] || 0, pad.axes[1] || 0, DEADZONE);
+        }
+
+        return function poll() {
+            const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+            for (const pad of pads) {
+                if (!pad || !pad.connected) continue;
+                const prev    = last[pad.index] || { dir: null, buttons: [] };
+                const pressed = pad.buttons.map(b => b.pressed);
+                const down    = i => pressed[i] && !prev.buttons[i];
+                const dir     = padDir(pad);
+
+                if (down(PAD.START)) pause();
+                if (down(PAD.A)) confirm();
+                if (dir && dir !== prev.dir) turn(DIRS[dir], pad.index);
+
+                last[pad.index] = { dir, buttons: pressed };
+            }
+        };
+    }
+
+    /** Wire up touch + D-pad now. @returns {{poll: function}} gamepad poller */
+    function attach({ surface, dpad, turn, pause, confirm }) {
+        if (surface) attachSwipe(surface, turn);
+        if (dpad) attachDpad(dpad, turn);
+        return { poll: createPadReader({ turn, pause, confirm }) };
+    }
+
+    return { SWIPE_MIN, DEADZONE, attach };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyInput = DreamyInput;
@@ -0,0 +1,270 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * levels.js — Level map format, validation and the built-in gardens
+ *
+ * A level is plain JSON:
+ *   {
+ *     "format":  "dreamy-garden-level",
+ *     "version": 2,
+ *     "id":      "hedge-maze",          // optional, built-ins + saved levels
+ *     "name":    "Hedge Maze",
+ *     "grid":    20,                    // cells per row/col (10–40)
+ *     "walls":   [[x, y], …],           // hedge tiles: solid
+ *     "water":   [[x, y], …],           // pond tiles: solid   (optional)
+ *     "noFood":  [[x, y], …],           // never spawn food or power-ups here (optional)
+ *     "portals": [[[x, y], [x, y]], …], // linked pairs, step in one → out the other (optional)
+ *     "spawn":   { "x": 10, "y": 10, "dir": "R" }   // head tile + heading
+ *   }
+ *
+ * The caterpillar spawns with its head on `spawn` and two body segments
+ * trailing behind it, so those three tiles must be open.
+ *
+ * Version history:
+ *   1  walls, water, noFood, spawn
+ *   2  adds portal pairs
+ */
+
+'use strict';
+
+const DreamyLevels = (() => {
+    const FORMAT   = 'dreamy-garden-level';
+    const VERSION  = 2;
+    const MIN_GRID = 10;
+    const MAX_GRID = 40;
+    const MAX_PORTALS = 6;   // pairs; one colour each in the renderer
+
+    // ─── Built-in gardens ───────────────────────────────────────────────────
+
+    /**
+     * Build a level from ASCII rows, which are much easier to design by eye:
+     *   '#' hedge   '~' pond   'x' no-food   '.' open
+     */
+    function fromRows(meta, rows) {
+        const walls = [], water = [], noFood = [];
+        rows.forEach((row, y) => {
+            [...row].forEach((ch, x) => {
+                if (ch === '#') walls.push([x, y]);
+                else if (ch === '~') water.push([x, y]);
+                else if (ch === 'x') noFood.push([x, y]);
+            });
+        });
+        return { format: FORMAT, version: VERSION, ...meta, grid: rows.length, walls, water, noFood, portals: [] };
+    }
+
+    const BUILT_IN = [
+        fromRows({ id: 'classic', name: 'Open Garden', spawn: { x: 10, y: 10, dir: 'R' } }, [
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+        ]),
+        fromRows({ id: 'hedge-maze', name: 'Hedge Maze', spawn: { x: 10, y: 10, dir: 'R' } }, [
+            '....................',
+            '....................',
+            '..######....######..',
+            '..#..............#..',
+            '..#..............#..',
+            '..#....######....#..',
+            '.......#....#.......',
+            '.......#....#.......',
+            '..#....#....#....#..',
+            '..#..............#..',
+            '..#..............#..',
+            '..#....#....#....#..',
+            '.......#....#.......',
+            '.......#....#.......',
+            '..#....######....#..',
+            '..#..............#..',
+            '..#..............#..',
+            '..######....######..',
+            '....................',
+            '....................',
+        ]),
+        fromRows({ id: 'flower-beds', name: 'Flower Beds', spawn: { x: 10, y: 10, dir: 'R' } }, [
+            '....................',
+            '....................',
+            '....................',
+            '...###...##...###...',
+            '...###...##...###...',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '...###........###...',
+            '...###........###...',
+            '....................',
+            '....................',
+            '....................',
+            '....................',
+            '...###...##...###...',
+            '...###...##...###...',
+            '....................',
+            '....................',
+            '....................',
+        ]),
+        fromRows({ id: 'pond', name: 'Lily Pond', spawn: { x: 10, y: 16, dir: 'R' } }, [
+            '....................',
+            '.##..............##.',
+            '.#................#.',
+            '....................',
+            '....................',
+            '.......xxxxxx.......',
+            '......xx~~~~xx......',
+            '.....xx~~~~~~xx.....',
+            '.....x~~~~~~~~x.....',
+            '.....x~~~~~~~~x.....',
+            '.....x~~~~~~~~x.....',
+            '.....x~~~~~~~~x.....',
+            '.....xx~~~~~~xx.....',
+            '......xx~~~~xx......',
+            '.......xxxxxx.......',
+            '....................',
+            '....................',
+            '.#................#.',
+            '.##..............##.',
+            '....................',
+        ]),
+    ];
+
+    // ─── Validation ─────────────────────────────────────────────────────────
+
+    function validTiles(list, grid) {
+        return Array.isArray(list) && list.every(t =>
+            Array.isArray(t) && t.length === 2 &&
+            Number.isInteger(t[0]) && Number.isInteger(t[1]) &&
+            t[0] >= 0 && t[0] < grid && t[1] >= 0 && t[1] < grid);
+    }
+
+    /**
+     * Check a level object and return a clean copy.
+     * @throws {Error} with a player-facing message when the map is unusable
+     */
+    function validate(data) {
+        if (!data || data.format !== FORMAT) {
+            throw new Error('That file isn’t a Dreamy Garden level.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This level has no version.');
+        }
+        if (data.version > VERSION) {
+            throw new Error('This level was made by a newer version of Dreamy Garden.');
+        }
+        const { grid } = data;
+        if (!Number.isInteger(grid) || grid < MIN_GRID || grid > MAX_GRID) {
+            throw new Error(`Level grids must be ${MIN_GRID}–${MAX_GRID} cells wide.`);
+        }
+        for (const key of ['walls', 'water', 'noFood']) {
+            const list = data[key] === undefined && key !== 'walls' ? [] : data[key];
+            if (!validTiles(list, grid)) throw new Error(`This level’s ${key} tiles are damaged.`);
+        }
+
+        const { spawn } = data;
+        const d = spawn && DreamyEngine.DIRS[spawn.dir];
+        if (!d || !Number.isInteger(spawn.x) || !Number.isInteger(spawn.y)) {
+            throw new Error('This level has no spawn point.');
+        }
+        const solid = new Set([...data.walls, ...(data.water || [])].map(([x, y]) => y*grid + x));
+        const spawnTiles = new Set();
+        for (let i = 0; i < 3; i++) {
+            const x = spawn.x - d.x*i;
+            const y = spawn.y - d.y*i;
+            if (x < 0 || x >= grid || y < 0 || y >= grid || solid.has(y*grid + x)) {
+                throw new Error('The caterpillar needs three open tiles at the spawn point.');
+            }
+            spawnTiles.add(y*grid + x);
+        }
+
+        const portals = data.version < 2 || data.portals === undefined ? [] : data.portals;
+        if (!Array.isArray(portals) || !portals.every(p => Array.isArray(p) && p.length === 2 && validTiles(p, grid))) {
+            throw new Error('This level’s portals are damaged.');
+        }
+        if (portals.length > MAX_PORTALS) {
+            throw new Error(`A garden can have at most ${MAX_PORTALS} portal pairs.`);
+        }
+        const portalTiles = new Set();
+        for (const [x, y] of portals.flat()) {
+            const k = y*grid + x;
+            if (solid.has(k) || spawnTiles.has(k) || portalTiles.has(k)) {
+                throw new Error('Portals need their own open tiles, away from the spawn point.');
+            }
+            portalTiles.add(k);
+        }
+
+        return {
+            format:  FORMAT,
+            version: VERSION,
+            ...(typeof data.id === 'string' ? { id: data.id } : {}),
+            name:    typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 40) : 'Untitled Garden',
+            grid,
+            walls:   data.walls.map(t => [t[0], t[1]]),
+            water:   (data.water || []).map(t => [t[0], t[1]]),
+            noFood:  (data.noFood || []).map(t => [t[0], t[1]]),
+            portals: portals.map(([a, b]) => [[a[0], a[1]], [b[0], b[1]]]),
+            spawn:   { x: spawn.x, y: spawn.y, dir: spawn.dir },
+        };
+    }
+
+    function parse(text) {
+        let data;
+        try { data = JSON.parse(text); }
+        catch { throw new Error('That file isn’t valid JSON.'); }
+        return validate(data);
+    }
+
+    function stringify(level) {
+        return JSON.stringify(level, null, 2);
+    }
+
+    function get(id) {
+        return BUILT_IN.find(l => l.id === id) || null;
+    }
+
+    /** An empty map of the given size with a centred spawn, for the editor. */
+    function blank(grid) {
+        const c = Math.floor(grid / 2);
+        return {
+            format: FORMAT, version: VERSION, name: 'Untitled Garden', grid,
+            walls: [], water: [], noFood: [], portals: [],
+            spawn: { x: c, y: c, dir: 'R' },
+        };
+    }
+
+    /** The Open Garden at any grid size; the classic 20×20 board is the built-in. */
+    function openGarden(grid) {
+        if (grid === get('classic').grid) return get('classic');
+        return { ...blank(grid), id: 'classic', name: 'Open Garden' };
+    }
+
+    /** Same board, ignoring name and id (null means the open classic board). */
+    function sameBoard(a, b) {
+        const key = l => {
+            l = l || get('classic');
+            return JSON.stringify([l.grid, l.walls, l.water, l.noFood, l.portals || [], l.spawn]);
+        };
+        return key(a) === key(b);
+    }
+
+    return {
+        FORMAT, VERSION, MIN_GRID, MAX_GRID, MAX_PORTALS, BUILT_IN,
+        fromRows, validate, parse, stringify, get, blank, openGarden, sameBoard,
+    };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyLevels = DreamyLevels;
+if (typeof module !== 'undefined' && module.exports) module.exports = DreamyLevels;
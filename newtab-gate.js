@@ -1,8 +1,10 @@
 /* newtab-gate.js — Check toggle before loading the game engine.
    Reads chrome.storage.local on page load; if game is disabled,
-   shows a "napping" screen instead of injecting game.js. */
+   shows a "napping" screen instead of injecting the game scripts. */
 'use strict';
 
+const GAME_SCRIPTS = ['lib/lovespark-stats.js', 'engine.js', 'levels.js', 'replay.js', 'autopilot.js', 'input.js', 'bindings.js', 'audio.js', 'history.js', 'achievements.js', 'daily.js', 'board.js', 'game.js'];
+
 (async function gate() {
     const forcePlay = new URLSearchParams(location.search).has('play');
     const { gameOnNewTab } = await chrome.storage.local.get('gameOnNewTab');
@@ -19,7 +21,11 @@
         return;
     }
 
-    const s = document.createElement('script');
-    s.src = 'game.js';
-    document.body.appendChild(s);
+    // Injected scripts default to async; keep them in dependency order.
+    for (const src of GAME_SCRIPTS) {
+        const s = document.createElement('script');
+        s.src = src;
+        s.async = false;
+        document.body.appendChild(s);
+    }
 })();
@@ -41,6 +41,104 @@ playBtn.addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('newtab.html') + '?play=1' });
 });
 
+document.getElementById('editor-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('editor.html') });
+});
+
+// Stats panel: counters + run history saved by the game (history.js)
+const CAUSES = {
+    wall: 'bumped into a wall',
+    self: 'nibbled its own tail',
+    time: 'ran out the clock',
+    quit: 'ended the session',
+};
+
+/** 1h 05m, 12m or 40s */
+function formatPlayTime(ms) {
+    const mins = Math.floor(ms / 60000);
+    if (mins >= 60) return `${Math.floor(mins / 60)}h ${String(mins % 60).padStart(2, '0')}m`;
+    return mins ? `${mins}m` : `${Math.floor(ms / 1000)}s`;
+}
+
+function drawSparkline(svg, scores) {
+    svg.textContent = '';
+    if (scores.length < 2) return;
+    const max = Math.max(1, ...scores);
+    const points = scores.map((s, i) =>
+        `${(i / (scores.length - 1) * 200).toFixed(1)},${(38 - s / max * 36).toFixed(1)}`);
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    line.setAttribute('points', points.join(' '));
+    svg.appendChild(line);
+    svg.setAttribute('aria-label', `Last ${scores.length} scores: ${scores.join(', ')}`);
+}
+
+async function renderStats() {
+    const [c, runs, combo] = await Promise.all([DreamyHistory.counters(), DreamyHistory.load(), DreamyHistory.bestCombo()]);
+    const sum = DreamyHistory.summarize(runs);
+    document.getElementById('stat-today').textContent = c.gamesToday;
+    document.getElementById('stat-total').textContent = c.gamesTotal;
+    document.getElementById('stat-avg').textContent   = sum.runs ? sum.avgScore.toFixed(1) : '–';
+    document.getElementById('stat-time').textContent  = formatPlayTime(c.playMsTotal);
+    document.getElementById('stat-top').textContent   = sum.runs ? sum.topScore : '–';
+    document.getElementById('stat-combo').textContent = combo > 1 ? `×${combo}` : '–';
+    drawSparkline(document.getElementById('stat-spark'), sum.recent);
+    if (sum.last) {
+        document.getElementById('stat-note').textContent =
+            `Last run: ${sum.last.score}, ${CAUSES[sum.last.cause] || 'all done'}. ` +
+            `${formatPlayTime(c.playMsToday)} played today.`;
+    }
+}
+
+renderStats();
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.runHistory || changes.gamesTotal || changes.playMsTotal || changes.bestCombo)) renderStats();
+});
+
+// Achievements gallery (achievements.js): every goal with its progress bar
+const achList  = document.getElementById('ach-list');
+const achCount = document.getElementById('ach-count');
+
+function renderAchievements(data) {
+    achList.textContent = '';
+    let done = 0;
+    for (const a of DreamyAchievements.ACHIEVEMENTS) {
+        const { progress, unlockedAt } = data[a.id];
+        if (unlockedAt) done++;
+        const row = document.createElement('div');
+        row.className = 'ach' + (unlockedAt ? ' unlocked' : '');
+        const icon = document.createElement('span');
+        icon.className = 'ach-icon';
+        icon.textContent = unlockedAt ? a.icon : '🔒';
+        const body = document.createElement('div');
+        body.className = 'ach-body';
+        const name = document.createElement('span');
+        name.className = 'ach-name';
+        name.textContent = a.name;
+        const desc = document.createElement('span');
+        desc.className = 'ach-desc';
+        desc.textContent = a.desc;
+        const bar = document.createElement('div');
+        bar.className = 'ach-bar';
+        const fill = document.createElement('div');
+        fill.style.width = `${Math.min(100, progress / a.goal * 100)}%`;
+        bar.appendChild(fill);
+        const note = document.createElement('span');
+        note.className = 'ach-desc';
+        note.textContent = unlockedAt
+            ? `Unlocked ${new Date(unlockedAt).toLocaleDateString()}`
+            : DreamyAchievements.progressText(a, progress);
+        body.append(name, desc, bar, note);
+        row.append(icon, body);
+        achList.appendChild(row);
+    }
+    achCount.textContent = `${done}/${DreamyAchievements.ACHIEVEMENTS.length}`;
+}
+
+DreamyAchievements.load().then(renderAchievements);
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.achievements) renderAchievements(DreamyAchievements.sanitize(changes.achievements.newValue));
+});
+
 chrome.storage.local.get('gameOnNewTab', ({ gameOnNewTab }) => {
     setToggleUI(gameOnNewTab !== false);
 });
@@ -58,6 +156,221 @@ toggle.addEventListener('keydown', (e) => {
     }
 });
 
+// Open Garden grid size (game.js picks it up live via storage.onChanged)
+const gridSelect = document.getElementById('grid-size');
+
+chrome.storage.local.get('gridSize', ({ gridSize }) => {
+    gridSelect.value = String(gridSize || 20);
+});
+
+gridSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ gridSize: +gridSelect.value });
+});
+
+// On-screen D-pad: auto (touch screens), always or off
+const dpadSelect = document.getElementById('dpad-mode');
+
+chrome.storage.local.get('dpad', ({ dpad }) => {
+    dpadSelect.value = dpad || 'auto';
+});
+
+dpadSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ dpad: dpadSelect.value });
+});
+
+// Sound: mute + master/effects/music volumes, read live by the game (audio.js)
+const soundToggle = document.getElementById('sound-toggle');
+const volumes = {
+    master: document.getElementById('vol-master'),
+    sfx:    document.getElementById('vol-sfx'),
+    music:  document.getElementById('vol-music'),
+};
+let mixer = DreamyAudio.DEFAULT_MIXER;
+
+function renderMixer() {
+    soundToggle.classList.toggle('active', !mixer.muted);
+    soundToggle.setAttribute('aria-checked', String(!mixer.muted));
+    for (const [k, el] of Object.entries(volumes)) {
+        el.value = String(Math.round(mixer[k] * 100));
+        el.disabled = mixer.muted;
+    }
+}
+
+function saveMixer(change) {
+    mixer = { ...mixer, ...change };
+    chrome.storage.local.set({ audio: mixer });
+    renderMixer();
+}
+
+chrome.storage.local.get('audio', ({ audio }) => {
+    mixer = DreamyAudio.sanitize(audio);
+    renderMixer();
+});
+
+soundToggle.addEventListener('click', () => saveMixer({ muted: !mixer.muted }));
+soundToggle.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        soundToggle.click();
+    }
+});
+for (const [k, el] of Object.entries(volumes)) {
+    el.addEventListener('input', () => saveMixer({ [k]: +el.value / 100 }));
+}
+
+// Key bindings (bindings.js); the game re-reads them via storage.onChanged
+const bindingList   = document.getElementById('binding-list');
+const bindingStatus = document.getElementById('binding-status');
+const controlsHint  = document.getElementById('controls-hint');
+let bindings  = DreamyBindings.DEFAULTS;
+let capturing = null;   // action waiting for its new key
+
+function renderBindings() {
+    const L = DreamyBindings.label;
+    bindingList.textContent = '';
+    for (const [action, name] of DreamyBindings.ACTIONS) {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+        const label = document.createElement('span');
+        label.className = 'binding-label';
+        label.textContent = name;
+        const key = document.createElement('button');
+        key.className = 'binding-key' + (capturing === action ? ' capturing' : '');
+        key.textContent = capturing === action ? 'Press a key…' : L(bindings[action]);
+        key.setAttribute('aria-label', `${name}: ${L(bindings[action])}. Click to change`);
+        key.addEventListener('click', () => { capturing = action; renderBindings(); });
+        row.append(label, key);
+        bindingList.appendChild(row);
+    }
+    const move = s => ['up', 'left', 'down', 'right'].map(a => L(bindings[a + s])).join('');
+    controlsHint.textContent = `${move('2')} / ${move('')} / swipe / gamepad \u00a0·\u00a0 ${L(bindings.pause)} to pause`;
+}
+
+document.addEventListener('keydown', (e) => {
+    if (!capturing) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const action = capturing;
+    capturing = null;
+    if (e.key === 'Escape') {
+        bindingStatus.textContent = 'Kept the old key.';
+    } else if (!DreamyBindings.bindable(e.key)) {
+        bindingStatus.textContent = `${e.key} can't be bound — try another key.`;
+    } else {
+        const before = DreamyBindings.actionFor(bindings, e.key);
+        bindings = DreamyBindings.assign(bindings, action, e.key);
+        DreamyBindings.save(bindings);
+        const swapped = before && before !== action ? DreamyBindings.ACTIONS.find(([a]) => a === before)[1] : null;
+        bindingStatus.textContent = swapped ? `Saved — swapped with ${swapped}.` : 'Saved.';
+    }
+    renderBindings();
+}, true);
+
+document.getElementById('bindings-reset').addEventListener('click', () => {
+    capturing = null;
+    bindings = { ...DreamyBindings.DEFAULTS };
+    DreamyBindings.save(bindings);
+    bindingStatus.textContent = 'Back to the default keys.';
+    renderBindings();
+});
+
+DreamyBindings.load().then(b => { bindings = b; renderBindings(); });
+
+// Settings changed elsewhere: a restored backup, or another synced browser
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.theme) applyTheme(changes.theme.newValue || 'retro');
+    if (changes.gameOnNewTab) setToggleUI(changes.gameOnNewTab.newValue !== false);
+    if (changes.gridSize) gridSelect.value = String(changes.gridSize.newValue || 20);
+    if (changes.dpad) dpadSelect.value = changes.dpad.newValue || 'auto';
+    if (changes.audio) {
+        mixer = DreamyAudio.sanitize(changes.audio.newValue);
+        renderMixer();
+    }
+    if (changes.keyBindings) {
+        bindings = DreamyBindings.sanitize(changes.keyBindings.newValue);
+        renderBindings();
+    }
+});
+
+// Backup garden (backup.js): the background writes the chrome.storage half
+// of a restore, the popup the localStorage half (ghosts and last picks)
+const backupFile   = document.getElementById('backup-file');
+const backupStatus = document.getElementById('backup-status');
+
+document.getElementById('backup-export').addEventListener('click', async () => {
+    const backup = await DreamyBackup.collect();
+    const blob = new Blob([DreamyBackup.stringify(backup)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = `dreamy-garden-backup-${LoveSparkStats.todayStr()}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    backupStatus.textContent = `Saved ${DreamyBackup.describe(backup)}.`;
+});
+
+async function importBackup(file) {
+    const how = document.querySelector('input[name="backup-how"]:checked').value;
+    try {
+        const { backup, skipped } = DreamyBackup.parse(await file.text());
+        const reply = await chrome.runtime.sendMessage({ type: 'restoreBackup', storage: backup.storage, how });
+        if (!reply || !reply.ok) throw new Error('The garden couldn’t be restored — please try again.');
+        const { bestScores } = await chrome.storage.local.get('bestScores');
+        DreamyBackup.restoreLocal(backup.local, how, bestScores);
+        backupStatus.textContent = `${how === 'replace' ? 'Replaced with' : 'Merged in'} ${DreamyBackup.describe(backup)}.` +
+            (skipped ? ` Left out ${skipped} damaged entr${skipped === 1 ? 'y' : 'ies'}.` : '');
+    } catch (err) {
+        backupStatus.textContent = err.message;
+    }
+}
+
+document.getElementById('backup-import').addEventListener('click', () => backupFile.click());
+backupFile.addEventListener('change', () => {
+    const file = backupFile.files[0];
+    backupFile.value = '';
+    if (file) importBackup(file);
+});
+
+// Sync across devices: the background worker does the syncing (sync.js)
+// and leaves the outcome in syncStatus
+const syncToggle = document.getElementById('sync-toggle');
+const syncNote   = document.getElementById('sync-status');
+
+function syncText(enabled, status) {
+    if (!enabled) return 'Off — bests and settings stay in this browser.';
+    if (!status || status.state === 'off') return 'Syncing…';
+    if (status.state === 'unavailable') return 'This browser has no sync storage.';
+    if (status.state === 'error') return `Couldn't sync: ${status.note}. It will try again on the next change.`;
+    const time = new Date(status.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const used = `${(status.bytes / 1024).toFixed(1)} of ${Math.round(status.quota / 1024)} KB used`;
+    return `Synced at ${time} · ${used}` + (status.note ? ` · ${status.note}` : '');
+}
+
+function renderSync({ syncEnabled, syncStatus }) {
+    const enabled = syncEnabled === true;
+    syncToggle.classList.toggle('active', enabled);
+    syncToggle.setAttribute('aria-checked', String(enabled));
+    syncNote.textContent = syncText(enabled, syncStatus);
+}
+
+chrome.storage.local.get(['syncEnabled', 'syncStatus'], renderSync);
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.syncEnabled || changes.syncStatus)) {
+        chrome.storage.local.get(['syncEnabled', 'syncStatus'], renderSync);
+    }
+});
+
+syncToggle.addEventListener('click', () => {
+    chrome.storage.local.set({ syncEnabled: !syncToggle.classList.contains('active') });
+});
+syncToggle.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        syncToggle.click();
+    }
+});
+
 function setToggleUI(enabled) {
     toggle.classList.toggle('active', enabled);
     toggle.setAttribute('aria-checked', String(enabled));
@@ -0,0 +1,284 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * replay.js — Compact run recording, playback and JSON import/export
+ *
+ * A run is fully described by its engine seed plus the turns the player
+ * made, keyed by the tick they were accepted on. Because the engine is
+ * deterministic, re-feeding those turns on the same ticks reproduces every
+ * food placement and power-up spawn exactly.
+ *
+ * File format (versioned so old files keep loading):
+ *   {
+ *     "format":  "dreamy-garden-replay",
+ *     "version": 2,
+ *     "seed":    3141592653,
+ *     "level":   { …level map… } | null,  // v2+, null = open board
+ *     "difficulty": "normal",           // v3+, DreamyEngine.DIFFICULTIES id
+ *     "mode":    "classic",            // v4+, DreamyEngine.MODES id
+ *     "twist":   "wrap" | null,         // v7+, DreamyEngine.TWISTS id
+ *     "powerups": ["speed", …],         // v8+, the power-ups that could spawn
+ *     "combos":  ["phantom", …],        // v9+, the combos they could make
+ *     "hazards": ["toadstool", …],      // v10+, the hazard mushrooms that could spawn
+ *     "foodTiers": true,               // v11+, mushrooms worth their tier (see MUSHROOM_TIERS)
+ *     "multiplier": true,              // v12+, quick eating multiplies the score
+ *     "ticks":   412,                  // length of the run
+ *     "score":   17,
+ *     "recordedAt": "2026-10-18T09:30:00.000Z",
+ *     "inputs":  [[12, "U"], [19, "L", 1], [30, "C"], …]
+ *   }
+ *
+ * An input is [tick, direction, player?], or [tick, "C"] where the queued
+ * turns were dropped (the game was paused).
+ *
+ * Version history:
+ *   1  seed + inputs on the open board
+ *   2  adds the level map, embedded so custom levels travel with the file
+ *   3  adds the difficulty; older files ran at the flat 'classic' pace
+ *   4  adds the game mode; older files are classic runs
+ *   5  Versus: an input may name its player (omitted for player one)
+ *   6  turns queue up; "C" entries record the queue being cleared
+ *   7  adds the rule twist (Daily Garden); older files have none
+ *   8  adds the power-up pool; older files had speed, ghost and wrap only
+ *   9  adds the combo pool; older files had no combos
+ *  10  adds the hazard pool; older files had no hazards
+ *  11  adds mushroom tiers; in older files every mushroom was worth 1
+ *  12  adds the score multiplier; older files scored without one
+ */
+
+'use strict';
+
+const DreamyReplay = (() => {
+    const FORMAT  = 'dreamy-garden-replay';
+    const VERSION = 12;
+    const FIRST_POWERUPS = ['speed', 'ghost', 'wrap'];   // the pool before v8
+
+    const SPEEDS = [0.5, 1, 2, 4];
+    const MAX_STEPS_PER_UPDATE = 8;   // cap catch-up after a stalled frame
+
+    const DIR_CODES = DreamyEngine.DIRS;
+    const CLEAR     = 'C';   // input code: drop every queued turn
+
+    function encodeDir(d) {
+        return d.x === 1 ? 'R' : d.x === -1 ? 'L' : d.y === -1 ? 'U' : 'D';
+    }
+    function decodeDir(c) {
+        return DIR_CODES[c];
+    }
+
+    // ─── Recording ──────────────────────────────────────────────────────────
+
+    /**
+     * Record the accepted turns of one run.
+     * Takes the same options the run's engine was created with.
+     * Call record() right after engine.input() returns true.
+     */
+    function createRecorder({ seed, level = null, difficulty = 'normal', mode = 'classic', twist = null }) {
+        const inputs = [];
+
+        function record(tick, dir, player = 0) {
+            inputs.push(player ? [tick, encodeDir(dir), player] : [tick, encodeDir(dir)]);
+        }
+
+        /** Call right after engine.clearTurns(). */
+        function recordClear(tick) {
+            inputs.push([tick, CLEAR]);
+        }
+
+        /** Snapshot the run so far as a replay object. */
+        function finish(state) {
+            return {
+                format:  FORMAT,
+                version: VERSION,
+                seed,
+                level,
+                difficulty,
+                mode,
+                twist,
+                powerups: state.powerups.slice(),
+                combos:  state.combos.slice(),
+                hazards: state.hazards.slice(),
+                foodTiers: state.foodTiers,
+                multiplier: state.multiplier,
+                ticks:   state.tick,
+                score:   state.players[0].score,
+                recordedAt: new Date().toISOString(),
+                inputs:  inputs.slice(),
+            };
+        }
+
+        return { record, recordClear, finish };
+    }
+
+    // ─── Serialisation ──────────────────────────────────────────────────────
+
+    function stringify(replay) {
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Parse and validate a replay file.
+     * @throws {Error} with a player-facing message when the file is unusable
+     */
+    function parse(text) {
+        let data;
+        try { data = JSON.parse(text); }
+        catch { throw new Error('That file isn’t valid JSON.'); }
+
+        if (!data || data.format !== FORMAT) {
+            throw new Error('That file isn’t a Dreamy Garden replay.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This replay has no version.');
+        }
+        if (data.version > VERSION) {
+            throw new Error('This replay was made by a newer version of Dreamy Garden.');
+        }
+        if (!Number.isInteger(data.seed) || data.seed < 0) {
+            throw new Error('This replay is missing its seed.');
+        }
+        if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+            throw new Error('This replay is missing its length.');
+        }
+        if (data.version >= 3 && !Object.prototype.hasOwnProperty.call(DreamyEngine.DIFFICULTIES, data.difficulty)) {
+            throw new Error('This replay’s difficulty isn’t one this version knows.');
+        }
+        if (data.version >= 4 && !Object.prototype.hasOwnProperty.call(DreamyEngine.MODES, data.mode)) {
+            throw new Error('This replay’s game mode isn’t one this version knows.');
+        }
+        if (data.version >= 7 && data.twist !== null && !Object.prototype.hasOwnProperty.call(DreamyEngine.TWISTS, data.twist)) {
+            throw new Error('This replay’s rule twist isn’t one this version knows.');
+        }
+        if (data.version >= 8 && !(Array.isArray(data.powerups) && data.powerups.every(id => DreamyEngine.POWERUP_IDS.includes(id)))) {
+            throw new Error('This replay has power-ups this version doesn’t know.');
+        }
+        if (data.version >= 9 && !(Array.isArray(data.combos) && data.combos.every(id => DreamyEngine.COMBO_IDS.includes(id)))) {
+            throw new Error('This replay has power-up combos this version doesn’t know.');
+        }
+        if (data.version >= 10 && !(Array.isArray(data.hazards) && data.hazards.every(id => DreamyEngine.HAZARD_IDS.includes(id)))) {
+            throw new Error('This replay has hazard mushrooms this version doesn’t know.');
+        }
+        if (data.version >= 11 && typeof data.foodTiers !== 'boolean') {
+            throw new Error('This replay doesn’t say what its mushrooms were worth.');
+        }
+        if (data.version >= 12 && typeof data.multiplier !== 'boolean') {
+            throw new Error('This replay doesn’t say how it was scored.');
+        }
+        if (!Array.isArray(data.inputs) || !data.inputs.every(validInput)) {
+            throw new Error('This replay’s inputs are damaged.');
+        }
+        return migrate(data);
+    }
+
+    /** Bring an older replay up to the current version. */
+    function migrate(data) {
+        const out = { ...data };
+        if (out.version < 2) out.level = null;
+        if (out.version < 3) out.difficulty = 'classic';
+        if (out.version < 4) out.mode = 'classic';
+        if (out.version < 7) out.twist = null;
+        if (out.version < 8) out.powerups = FIRST_POWERUPS;
+        if (out.version < 9) out.combos = [];
+        if (out.version < 10) out.hazards = [];
+        if (out.version < 11) out.foodTiers = false;
+        if (out.version < 12) out.multiplier = false;
+        if (out.level) out.level = DreamyLevels.validate(out.level);
+        out.version = VERSION;
+        return out;
+    }
+
+    function validInput(entry) {
+        if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || entry[0] < 0) return false;
+        if (entry[1] === CLEAR) return entry.length === 2;
+        return Object.prototype.hasOwnProperty.call(DIR_CODES, entry[1]) &&
+            (entry.length === 2 || (entry.length === 3 && (entry[2] === 0 || entry[2] === 1)));
+    }
+
+    // ─── Playback ───────────────────────────────────────────────────────────
+
+    /**
+     * Play a replay back on a fresh engine. The player never attaches engine
+     * listeners; update() returns the events of ticks played at normal
+     * speed so the host can render them, while seek() replays silently.
+     */
+    function createPlayer(replay) {
+        let engine, cursor, acc;
+        let speed  = 1;
+        let paused = false;
+
+        function reset() {
+            const { seed, level, difficulty, mode, twist, powerups, combos, hazards, foodTiers, multiplier } = replay;
+            engine = DreamyEngine.create({ seed, level, difficulty, mode, twist, powerups, combos, hazards, foodTiers, multiplier });
+            cursor = 0;
+            acc    = 0;
+        }
+
+        function ended() {
+            return engine.state.phase !== 'playing' || engine.state.tick >= replay.ticks;
+        }
+
+        /** Apply every turn recorded for the current tick, then step. */
+        function stepOnce() {
+            const { inputs } = replay;
+            while (cursor < inputs.length && inputs[cursor][0] <= engine.state.tick) {
+                const [, code, player = 0] = inputs[cursor];
+                if (code === CLEAR) engine.clearTurns();
+                else engine.input(decodeDir(code), player);
+                cursor++;
+            }
+            return engine.step();
+        }
+
+        /** Jump to a tick, rebuilding from the seed when scrubbing back. */
+        function seek(tick) {
+            tick = Math.max(0, Math.min(replay.ticks, tick));
+            if (tick < engine.state.tick) reset();
+            while (engine.state.tick < tick && !ended()) stepOnce();
+            acc = 0;
+        }
+
+        /** Advance by real elapsed ms, scaled by the playback speed. */
+        function update(dt) {
+            if (paused || ended()) return [];
+            acc += dt * speed;
+            const events = [];
+            let n = 0;
+            while (acc >= engine.stepMs() && !ended() && n < MAX_STEPS_PER_UPDATE) {
+                acc -= engine.stepMs();
+                events.push(...stepOnce());
+                n++;
+            }
+            if (n === MAX_STEPS_PER_UPDATE) acc = 0;
+            return events;
+        }
+
+        function progress() {
+            return ended() ? 1 : Math.min(1, acc / engine.stepMs());
+        }
+
+        function clock() {
+            return engine.state.time + (ended() ? 0 : acc);
+        }
+
+        function setSpeed(s) { speed = s; }
+        function setPaused(p) { paused = p; }
+
+        reset();
+
+        return {
+            get engine() { return engine; },
+            get tick()   { return engine.state.tick; },
+            get length() { return replay.ticks; },
+            get speed()  { return speed; },
+            get paused() { return paused; },
+            ended, seek, update, progress, clock, setSpeed, setPaused,
+        };
+    }
+
+    return {
+        FORMAT, VERSION, SPEEDS,
+        createRecorder, createPlayer, stringify, parse, encodeDir, decodeDir,
+    };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamyReplay = DreamyReplay;
+if (typeof module !== 'undefined' && module.exports) module.exports = DreamyReplay;
@@ -0,0 +1,196 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * sync.js — Optional chrome.storage.sync of bests, settings and achievements
+ *
+ * Run by the background worker, the only writer of chrome.storage.sync.
+ * The game and popup keep reading and writing chrome.storage.local as
+ * before; sync() folds the two areas together whenever either changes:
+ *
+ *   bests         best score per bucket          the higher score wins
+ *   achievements  progress + unlock date per id  higher progress, earliest unlock
+ *   settings      theme, new tab, grid, D-pad,   the latest change wins
+ *                 sound and key bindings
+ *
+ * Each group is one sync item, well under QUOTA_BYTES_PER_ITEM, and items
+ * are only written when they change, after a short quiet spell, to stay
+ * inside the hourly write limits. Settings carry the time they were last
+ * changed: in sync as { key: { value, at } }, locally in `syncStamps`.
+ *
+ * Off unless `syncEnabled` is set (the popup toggle). The outcome of the
+ * last attempt is kept in chrome.storage.local as `syncStatus`:
+ *   { state: 'ok' | 'error' | 'off' | 'unavailable', at, bytes, quota, note }
+ */
+
+'use strict';
+
+const DreamySync = (() => {
+    const SETTINGS = ['theme', 'gameOnNewTab', 'gridSize', 'dpad', 'audio', 'keyBindings'];
+    const LOCAL_KEYS = [...SETTINGS, 'bestScores', 'achievements', 'syncStamps'];
+    const ITEMS = ['bests', 'achievements', 'settings'];
+    const QUIET_MS = 4000;       // gather a burst of changes (e.g. a volume drag) into one write
+
+    // Chrome's documented limits, for browsers that don't expose them
+    const QUOTA = { total: 102400, item: 8192 };
+
+    const area = chrome.storage.sync || null;
+    let timer = null;
+    let queue = Promise.resolve();
+
+    function quota() {
+        return {
+            total: (area && area.QUOTA_BYTES) || QUOTA.total,
+            item:  (area && area.QUOTA_BYTES_PER_ITEM) || QUOTA.item,
+        };
+    }
+
+    /** Bytes an item counts for: its key plus its value as JSON. */
+    function sizeOf(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+
+    /** Deep equality that ignores key order, as the two areas don't keep it. */
+    function same(a, b) {
+        const sorted = (k, v) => v && typeof v === 'object' && !Array.isArray(v)
+            ? Object.fromEntries(Object.entries(v).sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0)))
+            : v;
+        return JSON.stringify(a, sorted) === JSON.stringify(b, sorted);
+    }
+
+    // ─── Merging ────────────────────────────────────────────────────────────
+
+    /**
+     * Per setting, whichever side changed it last. A tie goes to sync, so
+     * two browsers that never touched a setting settle on one value.
+     * @param {object} local   chrome.storage.local values
+     * @param {object} stamps  { key: ms } when each was last changed here
+     * @param {object} remote  the sync item, { key: { value, at } }
+     * @returns {{ settings: object, pull: object }} the new sync item, and
+     *          the values to write locally
+     */
+    function mergeSettings(local, stamps, remote) {
+        const settings = {};
+        const pull = {};
+        for (const key of SETTINGS) {
+            const theirs = remote && remote[key] && 'value' in remote[key] ? remote[key] : null;
+            const ours = local[key] !== undefined ? { value: local[key], at: stamps[key] || 0 } : null;
+            if (theirs && (!ours || theirs.at >= ours.at)) {
+                settings[key] = { value: theirs.value, at: theirs.at || 0 };
+                if (!ours || !same(ours.value, theirs.value)) pull[key] = theirs.value;
+            } else if (ours) {
+                settings[key] = ours;
+            }
+        }
+        return { settings, pull };
+    }
+
+    /** Drop the lowest bests until the item fits its quota. */
+    function fitBests(bests, limit) {
+        const ranked = Object.entries(bests).sort((a, b) => b[1] - a[1]);
+        let kept = bests;
+        while (ranked.length && sizeOf('bests', kept) > limit) {
+            ranked.pop();
+            kept = Object.fromEntries(ranked);
+        }
+        return kept;
+    }
+
+    // ─── Syncing ────────────────────────────────────────────────────────────
+
+    function setStatus(status) {
+        return chrome.storage.local.set({ syncStatus: { at: Date.now(), ...status } });
+    }
+
+    async function enabled() {
+        const { syncEnabled } = await chrome.storage.local.get('syncEnabled');
+        return syncEnabled === true;
+    }
+
+    /** Two-way merge of local and sync; one at a time. */
+    function sync() {
+        clearTimeout(timer);
+        queue = queue.then(run, run);
+        return queue;
+    }
+
+    /** Writes only what changed. */
+    async function run() {
+        if (!(await enabled())) return setStatus({ state: 'off' });
+        if (!area) return setStatus({ state: 'unavailable' });
+
+        const limits = quota();
+        try {
+            const [local, remote] = await Promise.all([
+                chrome.storage.local.get(LOCAL_KEYS),
+                area.get(ITEMS),
+            ]);
+            const stamps = { ...local.syncStamps };
+            const { settings, pull } = mergeSettings(local, stamps, remote.settings);
+            for (const key of Object.keys(pull)) stamps[key] = settings[key].at;
+
+            const allBests = DreamyHistory.mergeBests(local.bestScores, remote.bests);
+            const next = {
+                bests:        fitBests(allBests, limits.item),
+                achievements: DreamyAchievements.merge(local.achievements, remote.achievements),
+                settings,
+            };
+
+            let bytes = 0;
+            for (const key of ITEMS) {
+                const size = sizeOf(key, next[key]);
+                if (size > limits.item) throw new Error(`${key} is too large to sync`);
+                bytes += size;
+            }
+            if (bytes > limits.total) throw new Error('sync storage is full');
+
+            const push = {};
+            for (const key of ITEMS) if (!same(next[key], remote[key])) push[key] = next[key];
+            if (Object.keys(push).length) await area.set(push);
+
+            // Local keeps every best, even ones trimmed from sync
+            if (!same(allBests, local.bestScores || {})) pull.bestScores = allBests;
+            if (!same(next.achievements, DreamyAchievements.sanitize(local.achievements))) pull.achievements = next.achievements;
+            if (Object.keys(pull).length) await chrome.storage.local.set({ ...pull, syncStamps: stamps });
+
+            const trimmed = Object.keys(allBests).length - Object.keys(next.bests).length;
+            return setStatus({
+                state: 'ok', bytes, quota: limits.total,
+                note: trimmed ? `${trimmed} low score${trimmed === 1 ? '' : 's'} left out to fit` : '',
+            });
+        } catch (err) {
+            return setStatus({ state: 'error', note: err && err.message ? err.message : String(err) });
+        }
+    }
+
+    /** Sync after a quiet spell, so a burst of changes is one write. */
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(sync, QUIET_MS);
+    }
+
+    /**
+     * Follow local changes: stamp settings changed here (not ones that
+     * just arrived from sync) and sync them out. Call from the worker's
+     * storage.onChanged listener.
+     */
+    async function localChanged(changes) {
+        if (changes.syncEnabled) return sync();
+        if (!area || !(await enabled())) return;
+        const keys = SETTINGS.filter(k => changes[k]);
+        if (keys.length) {
+            const [{ settings = {} }, { syncStamps }] = await Promise.all([
+                area.get('settings'),
+                chrome.storage.local.get('syncStamps'),
+            ]);
+            const stamps = { ...syncStamps };
+            for (const k of keys) {
+                if (!settings[k] || !same(settings[k].value, changes[k].newValue)) stamps[k] = Date.now();
+            }
+            await chrome.storage.local.set({ syncStamps: stamps });
+        }
+        if (keys.length || changes.bestScores || changes.achievements) schedule();
+    }
+
+    return { SETTINGS, mergeSettings, sync, schedule, localChanged };
+})();
+
+if (typeof globalThis !== 'undefined') globalThis.DreamySync = DreamySync;
@@ -0,0 +1,106 @@
+/**
+ * Dreamy Garden – Fuzzy Caterpillar Snake
+ * test/engine.test.js — Collision, wrap and ghost rules, headless
+ *
+ * Run with `node --test` from the repo root. Each case lays a caterpillar
+ * out by hand on a fixed seed, then steps the engine once.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DreamyEngine = require('../engine.js');
+
+const SEED = 42;
+
+/** A fresh engine with the caterpillar on the given cells, head first, heading right. */
+function withSnake(cells, opts = {}) {
+    const eng = DreamyEngine.create({ seed: SEED, ...opts });
+    const { snake } = eng.state.players[0];
+    snake.length = 0;
+    for (const [x, y] of cells) snake.push({ x, y, px: x, py: y });
+    eng.state.foods = [{ x: 0, y: 0, mush: 0 }];   // well out of the way
+    return eng;
+}
+
+/** Player one's head as [x, y]. */
+function head(eng) {
+    const { x, y } = eng.state.players[0].snake[0];
+    return [x, y];
+}
+
+/** Switch a power-up on for the rest of the run. */
+function givePower(eng, id) {
+    const type = DreamyEngine.POWERUP_TYPES.findIndex(p => p.id === id);
+    eng.state.activePowers.push({ type, expiresAt: Infinity });
+}
+
+// Head at the right edge, about to leave the board
+const AT_EDGE = [[19, 10], [18, 10], [17, 10]];
+// Head about to run into its own body, which curls round in front of it
+const CURLED  = [[10, 10], [9, 10], [9, 11], [10, 11], [11, 11], [11, 10], [12, 10]];
+
+test('the same seed and inputs replay the same run', () => {
+    const run = () => {
+        const eng = DreamyEngine.create({ seed: SEED });
+        const log = [];
+        for (let i = 0; i < 40; i++) {
+            if (i === 5) eng.input({ x: 0, y: -1 });
+            eng.step();
+            log.push(`${head(eng)} ${eng.state.foods[0].x},${eng.state.foods[0].y}`);
+        }
+        return log;
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('leaving the board hits the wall', () => {
+    const eng    = withSnake(AT_EDGE);
+    const events = eng.step();
+    assert.equal(eng.state.phase, 'dead');
+    assert.equal(events.find(e => e.type === 'died').cause, 'wall');
+});
+
+test('running into the body is a self collision', () => {
+    const eng    = withSnake(CURLED);
+    const events = eng.step();
+    assert.equal(eng.state.phase, 'dead');
+    assert.equal(events.find(e => e.type === 'died').cause, 'self');
+});
+
+test('moving onto the cell the tail is leaving is safe', () => {
+    const eng = withSnake([[10, 10], [10, 11], [11, 11], [11, 10]]);
+    eng.step();
+    assert.equal(eng.state.phase, 'playing');
+    assert.deepEqual(head(eng), [11, 10]);
+});
+
+test('Wrap carries the head out of the far edge', () => {
+    const eng = withSnake(AT_EDGE);
+    givePower(eng, 'wrap');
+    eng.step();
+    assert.equal(eng.state.phase, 'playing');
+    assert.deepEqual(head(eng), [0, 10]);
+});
+
+test('the Wrap twist wraps without the power-up', () => {
+    const eng = withSnake(AT_EDGE, { twist: 'wrap' });
+    eng.step();
+    assert.equal(eng.state.phase, 'playing');
+    assert.deepEqual(head(eng), [0, 10]);
+});
+
+test('Ghost phases through the body', () => {
+    const eng = withSnake(CURLED);
+    givePower(eng, 'ghost');
+    eng.step();
+    assert.equal(eng.state.phase, 'playing');
+    assert.deepEqual(head(eng), [11, 10]);
+});
+
+test('a reversal is refused', () => {
+    const eng = withSnake(AT_EDGE);
+    assert.equal(eng.input({ x: -1, y: 0 }), false);
+    assert.equal(eng.input({ x: 0, y: -1 }), true);
+});